@@ -1,39 +1,98 @@
 const fs = require('fs');
 const path = require('path');
-const { marked } = require('marked');
+const { Marked } = require('marked');
+const { createVaultIndex } = require('./lib/vault');
+const { createEmbedExtension, isImage } = require('./lib/embeds');
+const { createAssetPipeline } = require('./lib/assets');
+const { createChartRenderer } = require('./lib/charts');
+const { createOhlcStore } = require('./lib/ohlc');
+const { extractDividendEvents, createAdjustedStore, renderPriceLevels } = require('./lib/adjust');
+const { createKlineRenderer } = require('./lib/kline');
+const { findCanvasFiles, generateCanvasPage } = require('./lib/canvas');
+const {
+  createNoteIndex,
+  createHeadingRenderer,
+  createWikilinkExtension
+} = require('./lib/wikilinks');
+const { escapeHtml } = require('./lib/html');
+const { parseFrontMatter } = require('./lib/frontmatter');
+const { readGitDates, applyFileDates } = require('./lib/git-dates');
+const {
+  parseNoteDate,
+  toUtcDate,
+  buildJournal,
+  generateTimelinePage,
+  generateCalendarPage,
+  renderJournalNav
+} = require('./lib/journal');
+const {
+  htmlToText,
+  extractStructure,
+  buildSearchIndex,
+  searchClientScript,
+  renderSearchBox
+} = require('./lib/search');
+const {
+  extractTags,
+  createTagExtension,
+  renderTagChips,
+  buildTagIndex,
+  tagFileName,
+  generateTagIndexPage,
+  generateTagPage
+} = require('./lib/tags');
+const {
+  loadStocks,
+  stockFileName,
+  stockUrl,
+  createStockIndex,
+  createStockLinkExtension,
+  extractStockMentions,
+  buildStockMentions,
+  generateStockIndexPage,
+  generateStockPage
+} = require('./lib/stocks');
+const {
+  extractTables,
+  tableFileName,
+  tableJson,
+  tableCsv,
+  combinedJson,
+  combinedCsv,
+  createTableExportExtension,
+  generateTableIndexPage
+} = require('./lib/tables');
+const { buildStockHistory, renderStockHistory } = require('./lib/history');
+const { checkNote, createCheckWarningExtension, generateChecksPage } = require('./lib/checks');
+const {
+  calculators,
+  calculatorFileName,
+  generateCalculatorPage,
+  renderCalculatorLinks
+} = require('./lib/calculators');
+const { screenStocks, generatePatternPage } = require('./lib/patterns');
+const { buildBollStates, generateBollPage } = require('./lib/boll-state');
+const { buildCrossovers, generateCrossoverPage } = require('./lib/crossovers');
+const { loadRules, runRules, generateBacktestPage } = require('./lib/backtest');
+const { extractHoldings, buildDividendCalendar, generateDividendCalendarPage, dividendIcs } = require('./lib/dividend-calendar');
+const { buildAlerts, alertsCsv, generateAlertsPage } = require('./lib/alerts');
 
 // Configure marked for better rendering
-marked.setOptions({
+const markedOptions = {
   breaks: true,
   gfm: true
-});
+};
 
 // Directories
 const rootDir = __dirname;
 const distDir = path.join(rootDir, 'dist');
-const pngDir = path.join(rootDir, 'png');
 
-// Directories to ignore when scanning for markdown files
-const ignoreDirs = ['node_modules', '.git', '.netlify', '.vs', 'dist', 'png'];
+// Directories to ignore when scanning for markdown files (test/ holds the
+// fixtures of `npm test`, not notes)
+const ignoreDirs = ['node_modules', '.git', '.netlify', '.vs', 'dist', 'png', 'test'];
 
-// Ensure dist directory exists
-if (!fs.existsSync(distDir)) {
-  fs.mkdirSync(distDir, { recursive: true });
-}
-
-// Copy PNG assets
-const distPngDir = path.join(distDir, 'png');
-if (!fs.existsSync(distPngDir)) {
-  fs.mkdirSync(distPngDir, { recursive: true });
-}
-
-if (fs.existsSync(pngDir)) {
-  const pngFiles = fs.readdirSync(pngDir);
-  pngFiles.forEach(file => {
-    fs.copyFileSync(path.join(pngDir, file), path.join(distPngDir, file));
-  });
-  console.log(`Copied ${pngFiles.length} PNG files`);
-}
+// Directories to ignore when indexing attachments (images live in png/ too)
+const vaultIgnoreDirs = ignoreDirs.filter(dir => dir !== 'png');
 
 // Recursively find all markdown files in a directory
 function findMarkdownFiles(dir, relativePath = '') {
@@ -51,20 +110,27 @@ function findMarkdownFiles(dir, relativePath = '') {
         results.push(...findMarkdownFiles(fullPath, itemRelativePath));
       }
     } else if (item.endsWith('.md') && !item.startsWith('.')) {
-      const content = fs.readFileSync(fullPath, 'utf-8');
+      const raw = fs.readFileSync(fullPath, 'utf-8');
+      const { content, meta } = parseFrontMatter(raw, itemRelativePath);
       const name = path.basename(item, '.md');
 
-      // Extract first heading or use filename
+      // Drafts stay in the vault but are never published
+      if (meta.draft) continue;
+
+      // Front matter title, else first heading, else filename
       const headingMatch = content.match(/^#\s+(.+)$/m);
-      const title = headingMatch ? headingMatch[1] : name;
+      const title = meta.title || (headingMatch ? headingMatch[1] : name);
 
-      // Get first paragraph for description
+      // Front matter description, else first paragraph
       const lines = content.split('\n').filter(l => l.trim() && !l.startsWith('#'));
-      const description = lines[0] ? lines[0].substring(0, 150) + '...' : '';
+      const description = meta.description || (lines[0] ? lines[0].substring(0, 150) + '...' : '');
 
       // Determine the folder path (empty string for root level files)
       const folder = relativePath || '';
 
+      // Date carried by the file or folder name (2026-01-07, 20260126, 202601)
+      const noteDate = parseNoteDate(name, folder);
+
       // Create a unique output filename based on the relative path
       const outputName = relativePath
         ? relativePath.replace(/[/\\]/g, '_') + '_' + name
@@ -77,6 +143,12 @@ function findMarkdownFiles(dir, relativePath = '') {
         title,
         description,
         content,
+        date: meta.date || (noteDate ? toUtcDate(noteDate) : null),
+        noteDate,
+        tags: meta.tags,
+        aliases: meta.aliases,
+        order: meta.order,
+        cover: meta.cover,
         mtime: stats.mtime,
         size: stats.size,
         folder,
@@ -88,40 +160,562 @@ function findMarkdownFiles(dir, relativePath = '') {
   return results;
 }
 
-// Find all markdown files recursively
-const mdFiles = findMarkdownFiles(rootDir).sort((a, b) => b.mtime - a.mtime);
+// Notes with a front matter `order` come first, then most recently modified
+// (the last commit from git history); the note's own date breaks ties
+function compareFiles(a, b) {
+  const orderA = a.order ?? Infinity;
+  const orderB = b.order ?? Infinity;
+  if (orderA !== orderB) return orderA - orderB;
+  return b.mtime - a.mtime || (b.date || 0) - (a.date || 0);
+}
+
+// Delete the dist files a full build no longer produced: pages of renamed or
+// deleted notes, dropped tables and replaced attachments
+function removeStaleOutputs(outputs, dir = distDir) {
+  const removed = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      removed.push(...removeStaleOutputs(outputs, fullPath));
+      if (fs.readdirSync(fullPath).length === 0) fs.rmdirSync(fullPath);
+      continue;
+    }
+
+    const relPath = path.relative(distDir, fullPath).split(path.sep).join('/');
+    if (outputs.has(relPath)) continue;
+    fs.unlinkSync(fullPath);
+    removed.push(relPath);
+  }
+
+  return removed;
+}
+
+// Run the whole pipeline once. Safe to call repeatedly (the dev server does),
+// only rewriting dist files whose content changed.
+//
+// The dev server passes the same `cache` object to every call along with the
+// vault files changed since the last one. When only note bodies changed, the
+// other notes reuse their cached render and only pages depending on the
+// edited notes are regenerated. Anything else (new, renamed or deleted notes,
+// titles, tags, sidebar order, dividend tables, data/, attachments) is a full
+// build, which also removes the outputs no longer produced.
+function build({ quiet = false, cache = null, changedFiles = null } = {}) {
+  const changed = [];
+  const outputs = new Set();
+  const log = quiet ? () => {} : console.log;
+
+  // Write a dist file only when its content differs, remembering what changed
+  function writeOutput(relPath, content) {
+    outputs.add(relPath);
+    const target = path.join(distDir, relPath);
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf-8') === content) return;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    changed.push(relPath);
+  }
+
+  // Ensure dist directory exists
+  if (!fs.existsSync(distDir)) {
+    fs.mkdirSync(distDir, { recursive: true });
+  }
+
+  // Created/updated dates come from git history; a fresh clone's mtimes are
+  // all the checkout time
+  const gitDates = readGitDates(rootDir);
+  if (!gitDates) log('Not a git checkout, using file modification times');
+
+  // Find all markdown files recursively
+  const mdFiles = findMarkdownFiles(rootDir);
+  applyFileDates(mdFiles, gitDates, rootDir);
+  mdFiles.sort(compareFiles);
+
+  // Index every attachment in the vault so ![[embeds]] resolve by file name
+  const vault = createVaultIndex(rootDir, vaultIgnoreDirs);
+
+  // Canvas boards are published as pages and listed alongside the notes
+  const canvasFiles = findCanvasFiles(rootDir, vault);
+  applyFileDates(canvasFiles, gitDates, rootDir);
+
+  // Group files by folder for better organization
+  const filesByFolder = [...mdFiles, ...canvasFiles].sort(compareFiles).reduce((acc, file) => {
+    const folder = file.folder || '根目录';
+    if (!acc[folder]) {
+      acc[folder] = [];
+    }
+    acc[folder].push(file);
+    return acc;
+  }, {});
+
+  log(`Found ${mdFiles.length} markdown files and ${canvasFiles.length} canvases in ${Object.keys(filesByFolder).length} folders`);
+
+  const assets = createAssetPipeline({ rootDir, distDir, vault });
+  const notes = createNoteIndex(mdFiles);
+  const missingAssets = [];
+  const missingLinks = [];
+  const chartWarnings = [];
+  const priceWarnings = [];
+  const ruleWarnings = [];
+
+  // Resolve front matter covers to published attachments
+  mdFiles.filter(file => file.cover).forEach(file => {
+    const resolved = vault.resolve(file.cover);
+    if (resolved) {
+      file.coverUrl = assets.url(resolved);
+    } else {
+      missingAssets.push({ file, target: `cover: ${file.cover}` });
+    }
+  });
+
+  // The previous build's notes, if only notes changed since
+  const previous = cache && cache.notes && changedFiles && changedFiles.every(file => /\.md$/i.test(file))
+    ? cache.notes
+    : null;
+  const unchanged = file => {
+    const before = previous && previous.get(file.outputName);
+    return Boolean(before && before.content === file.content);
+  };
+
+  // Block tokens of every note, shared by the passes that read note structure
+  const blockTokens = new Map(mdFiles.map(file => [
+    file,
+    unchanged(file) ? previous.get(file.outputName).tokens : new Marked(markedOptions).lexer(file.content)
+  ]));
+
+  // Collect inline #tags with the paragraph they appear in, plus front matter
+  // tags, and merge both into each note's tag list
+  const tagEntries = [];
+  mdFiles.forEach(file => {
+    const inlineTags = extractTags(blockTokens.get(file));
+    file.tags.forEach(tag => tagEntries.push({ file, tag, context: null }));
+    inlineTags.forEach(({ tag, context }) => tagEntries.push({ file, tag, context }));
+
+    const seen = new Set();
+    file.tags = [...file.tags, ...inlineTags.map(entry => entry.tag)].filter(tag => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  });
+  const tagIndex = buildTagIndex(tagEntries);
+
+  // Stock dictionary: every paragraph, table row and screenshot naming a
+  // stock is collected for that stock's page
+  const stocks = createStockIndex(loadStocks(path.join(rootDir, 'data', 'stocks.yml')));
+  const stockEntries = [];
+  mdFiles.forEach(file => {
+    extractStockMentions(blockTokens.get(file), stocks)
+      .forEach(mention => stockEntries.push({ file, ...mention }));
+  });
+  const stockMentions = buildStockMentions(stocks.stocks, stockEntries);
+
+  // Typed rows of every markdown table, exported as JSON and CSV
+  const tableExports = mdFiles
+    .map(file => ({ file, tables: extractTables(blockTokens.get(file)) }))
+    .filter(({ tables }) => tables.length > 0);
+  const tablesByNote = new Map(tableExports.map(({ file, tables }) => [file.outputName, tables]));
+
+  // Price files, adjusted with the dividend tables pasted into the notes
+  const dividendEvents = extractDividendEvents(tableExports, stocks);
+  const ohlc = createAdjustedStore(createOhlcStore(rootDir), stocks, dividendEvents);
+
+  // An incremental build needs the same sidebar, note list, tags, table
+  // files and dividend tables as the previous build; only bodies may differ
+  const layoutKey = JSON.stringify(Object.values(filesByFolder).flat().map(file =>
+    [file.outputName, file.title, file.description, file.date, file.tags, file.aliases, file.cover, file.order]));
+  const dividendKey = JSON.stringify([...dividendEvents].map(([stock, events]) =>
+    [stock.name, events.map(({ file, ...event }) => ({ ...event, note: file.outputName }))]));
+  const changedNotes = previous && layoutKey === cache.layoutKey && dividendKey === cache.dividendKey
+    ? mdFiles.filter(file => !unchanged(file))
+    : null;
+  const incremental = Boolean(changedNotes) && changedNotes.every(file =>
+    (tablesByNote.get(file.outputName) || []).length === previous.get(file.outputName).tableCount);
+
+  // Recompute the sums, averages and yield columns written in each note
+  const checks = mdFiles
+    .map(file => ({ file, results: checkNote(blockTokens.get(file), tablesByNote.get(file.outputName) || []) }))
+    .filter(({ results }) => results.length > 0);
+  const checksByNote = new Map(checks.map(({ file, results }) => [file.outputName, results]));
+
+  // Watchlist rows lined up by stock across the daily notes
+  const stockHistory = buildStockHistory(tableExports, stocks);
+
+  // Backlinks: outputName of the linked note -> notes that link to it
+  const backlinks = new Map();
+  let renderLinks = null;
+
+  function addBacklink(source, target) {
+    if (target.outputName === source.outputName) return;
+    if (renderLinks) renderLinks.push(target.outputName);
+    if (!backlinks.has(target.outputName)) backlinks.set(target.outputName, new Set());
+    backlinks.get(target.outputName).add(source);
+  }
+
+  function renderMarkdown(file) {
+    const renderer = new Marked(markedOptions);
+    renderer.use(createTagExtension());
+    renderer.use(createStockLinkExtension(stocks));
+    renderer.use({
+      renderer: createHeadingRenderer(),
+      walkTokens: assets.createWalker(file, target => missingAssets.push({ file, target })),
+      extensions: [
+        createEmbedExtension(vault, {
+          assetUrl: assets.url,
+          renderNoteEmbed: target => {
+            const note = notes.resolve(target);
+            if (!note) return null;
+            addBacklink(file, note);
+            return `<a href="${encodeURIComponent(note.outputName)}.html" class="internal-link embed-note">${escapeHtml(note.title)}</a>`;
+          },
+          onMissing: target => missingAssets.push({ file, target: `![[${target}]]` })
+        }),
+        createWikilinkExtension(notes, {
+          onLink: note => addBacklink(file, note),
+          onMissing: target => missingLinks.push({ file, target })
+        }),
+        createTableExportExtension(file, tablesByNote.get(file.outputName) || []),
+        ...createCheckWarningExtension(checksByNote.get(file.outputName) || [])
+      ]
+    });
+    renderer.use({
+      renderer: createChartRenderer({
+        onWarning: message => chartWarnings.push({ file, message })
+      })
+    });
+    renderer.use({
+      renderer: createKlineRenderer({
+        stocks,
+        store: ohlc,
+        onWarning: message => chartWarnings.push({ file, message })
+      })
+    });
+    return renderer.parse(file.content);
+  }
+
+  // Render a note, remembering the links, warnings and attachments it
+  // produced. An unchanged note in an incremental build replays its cached
+  // render instead.
+  const filesByName = new Map(mdFiles.map(file => [file.outputName, file]));
+  const noteCache = new Map();
+
+  function renderNote(file) {
+    if (incremental && unchanged(file)) {
+      const entry = previous.get(file.outputName);
+      entry.links.forEach(name => addBacklink(file, filesByName.get(name)));
+      entry.missingAssets.forEach(target => missingAssets.push({ file, target }));
+      entry.missingLinks.forEach(target => missingLinks.push({ file, target }));
+      entry.chartWarnings.forEach(message => chartWarnings.push({ file, message }));
+      entry.assets.forEach(assets.url);
+      noteCache.set(file.outputName, { ...entry, pages: new Set() });
+      return entry.html;
+    }
+
+    const counts = [missingAssets.length, missingLinks.length, chartWarnings.length];
+    const links = [];
+    renderLinks = links;
+    let rendered;
+    try {
+      rendered = assets.track(() => renderMarkdown(file));
+    } finally {
+      renderLinks = null;
+    }
+
+    noteCache.set(file.outputName, {
+      content: file.content,
+      tokens: blockTokens.get(file),
+      html: rendered.result,
+      links: [...new Set(links)],
+      missingAssets: missingAssets.slice(counts[0]).map(({ target }) => target),
+      missingLinks: missingLinks.slice(counts[1]).map(({ target }) => target),
+      chartWarnings: chartWarnings.slice(counts[2]).map(({ message }) => message),
+      assets: rendered.used,
+      tableCount: (tablesByNote.get(file.outputName) || []).length,
+      pages: new Set()
+    });
+    return rendered.result;
+  }
+
+  // Render every note first so backlinks are complete before pages are written
+  const renderedHtml = new Map(mdFiles.map(file => [file.outputName, renderNote(file)]));
+
+  // Pages depending on each note besides its own: the notes it links to and
+  // the pages of its tags and stocks
+  tagIndex.forEach(entry => entry.notes.forEach((contexts, file) =>
+    noteCache.get(file.outputName).pages.add(`tags/${tagFileName(entry.tag)}`)));
+  mdFiles.forEach(file => {
+    const entry = noteCache.get(file.outputName);
+    entry.links.forEach(name => entry.pages.add(`${name}.html`));
+  });
+  stockMentions.forEach((notes, stock) => notes.forEach((mentions, file) =>
+    noteCache.get(file.outputName).pages.add(`stocks/${stockFileName(stock)}`)));
+
+  // Pages to regenerate: all of them, or in an incremental build the edited
+  // notes, the pages depending on them before or after the edit, and the
+  // pages listing every note. The price pages read the note tables.
+  let scope = null;
+  let priceScope = true;
+  if (incremental) {
+    scope = new Set(['index.html', 'search-index.json', 'checks.html', 'stocks/index.html',
+      'tables/index.html', 'tables/all.json', 'tables/all.csv']);
+    priceScope = false;
+    changedNotes.forEach(file => {
+      scope.add(`${file.outputName}.html`);
+      previous.get(file.outputName).pages.forEach(page => scope.add(page));
+      noteCache.get(file.outputName).pages.forEach(page => scope.add(page));
+      (tablesByNote.get(file.outputName) || []).forEach(table => {
+        scope.add(`tables/${tableFileName(file, table, 'json')}`);
+        scope.add(`tables/${tableFileName(file, table, 'csv')}`);
+      });
+      if (noteCache.get(file.outputName).tableCount > 0) priceScope = true;
+    });
+  }
+  const inScope = relPath => !scope || scope.has(relPath);
+
+  // Map a canvas file node (a vault path) to what the board should show
+  function resolveCanvasFile(canvas, target) {
+    if (/\.md$/i.test(target)) {
+      const note = notes.resolve(target);
+      if (!note) return null;
+      addBacklink(canvas, note);
+      return { kind: 'note', url: `${note.outputName}.html`, title: note.title, description: note.description };
+    }
+
+    const resolved = vault.resolve(target);
+    if (!resolved) return null;
+    return {
+      kind: isImage(resolved) ? 'image' : 'file',
+      url: assets.url(resolved),
+      title: path.posix.basename(resolved)
+    };
+  }
+
+  // Generate a page for each canvas board (always rendered: its note cards
+  // are backlinks)
+  canvasFiles.forEach(canvas => {
+    const html = generateCanvasPage(canvas, {
+      renderText: text => renderMarkdown({ ...canvas, content: text }),
+      resolveFile: target => {
+        const resolved = resolveCanvasFile(canvas, target);
+        if (!resolved) missingAssets.push({ file: canvas, target });
+        return resolved;
+      }
+    });
+    if (!inScope(`${canvas.outputName}.html`)) return;
+    writeOutput(`${canvas.outputName}.html`, html);
+    log(`Generated: ${canvas.outputName}.html`);
+  });
+
+  // Chronological view over every note with a date in its name
+  const journal = buildJournal(mdFiles);
+
+  // Generate HTML for each markdown file
+  mdFiles.filter(file => inScope(`${file.outputName}.html`)).forEach(file => {
+    const fileBacklinks = [...(backlinks.get(file.outputName) || [])];
+    const journalNav = renderJournalNav(journal.neighbours.get(file.outputName));
+    const html = generateDocumentPage(file, renderedHtml.get(file.outputName), mdFiles, filesByFolder, fileBacklinks, journalNav, renderCalculatorLinks(file));
+    writeOutput(`${file.outputName}.html`, html);
+    log(`Generated: ${file.outputName}.html`);
+  });
+
+  // Generate the client-side search index and script
+  const searchNames = [];
+  const searchDocs = mdFiles.map(file => {
+    const { headings, cells, names } = extractStructure(blockTokens.get(file));
+    searchNames.push(...names);
+    return {
+      title: file.title,
+      url: `${file.outputName}.html`,
+      folder: file.folder,
+      headings,
+      tags: file.tags,
+      cells,
+      body: htmlToText(renderedHtml.get(file.outputName))
+    };
+  });
+  stocks.stocks.forEach(stock => searchDocs.push({
+    title: stock.name,
+    url: stockUrl(stock),
+    folder: '股票',
+    headings: [],
+    tags: [],
+    cells: [stock.code, ...stock.aliases],
+    body: `${stock.code} ${stockMentions.get(stock).size} 篇笔记提到`
+  }));
+  writeOutput('search-index.json', JSON.stringify(buildSearchIndex(searchDocs, [...searchNames, ...stocks.terms])));
+  if (inScope('search.js')) writeOutput('search.js', searchClientScript());
+  log('Generated: search-index.json');
+
+  // Generate the timeline and calendar pages
+  if (inScope('timeline.html')) {
+    writeOutput('timeline.html', generateTimelinePage(journal));
+    writeOutput('calendar.html', generateCalendarPage(journal));
+    log(`Generated: timeline.html, calendar.html (${journal.entries.length} dated notes)`);
+  }
+
+  // Generate the tag index and one page per tag
+  if (inScope('tags/index.html')) writeOutput('tags/index.html', generateTagIndexPage(tagIndex));
+  tagIndex.filter(entry => inScope(`tags/${tagFileName(entry.tag)}`)).forEach(entry => {
+    writeOutput(`tags/${tagFileName(entry.tag)}`, generateTagPage(entry));
+  });
+  log(`Generated: tags/ (${tagIndex.length} tags)`);
+
+  // Generate the table data exports: one JSON and CSV per table plus all of
+  // them combined
+  tableExports.forEach(({ file, tables }) => tables.forEach(table => {
+    if (!inScope(`tables/${tableFileName(file, table, 'json')}`)) return;
+    writeOutput(`tables/${tableFileName(file, table, 'json')}`, JSON.stringify(tableJson(file, table), null, 2));
+    writeOutput(`tables/${tableFileName(file, table, 'csv')}`, tableCsv(table));
+  }));
+  writeOutput('tables/all.json', JSON.stringify(combinedJson(tableExports), null, 2));
+  writeOutput('tables/all.csv', combinedCsv(tableExports));
+  writeOutput('tables/index.html', generateTableIndexPage(tableExports));
+  log(`Generated: tables/ (${tableExports.reduce((sum, { tables }) => sum + tables.length, 0)} tables)`);
+
+  // Generate the report of recomputed figures
+  writeOutput('checks.html', generateChecksPage(checks));
+  log('Generated: checks.html');
+
+  // Generate the in-browser calculator pages
+  calculators.filter(calculator => inScope(calculatorFileName(calculator))).forEach(calculator => {
+    writeOutput(calculatorFileName(calculator), generateCalculatorPage(calculator, notes.resolve(calculator.note)));
+  });
+  log(`Generated: ${calculators.map(calculatorFileName).join(', ')}`);
+
+  // The price pages only change with data/ or the note tables
+  if (priceScope) {
+    // Screen the price files for the patterns in K线形态 and K线指标
+    const patternScreen = screenStocks(stocks.stocks, ohlc, { onWarning: message => priceWarnings.push(message) });
+    writeOutput('patterns.html', generatePatternPage(patternScreen, name => notes.resolve(name)));
+    log(`Generated: patterns.html (${patternScreen.hits.length} signals in ${patternScreen.screened.length} stocks)`);
+
+    // Classify the weekly BOLL state next to the hand-filled 周K分析 columns
+    const bollStates = buildBollStates(stocks, ohlc, tableExports, { onWarning: message => priceWarnings.push(message) });
+    writeOutput('boll.html', generateBollPage(bollStates));
+    log(`Generated: boll.html (${bollStates.filter(row => row.state).length} stocks)`);
+
+    // Find the 20/30/60 moving-average crossovers
+    const crossovers = buildCrossovers(stocks.stocks, ohlc, { onWarning: message => priceWarnings.push(message) });
+    writeOutput('crossovers.html', generateCrossoverPage(crossovers));
+    log(`Generated: crossovers.html (${crossovers.length} stocks)`);
+
+    // Backtest the trading rules in data/rules.yml
+    const rules = loadRules(path.join(rootDir, 'data', 'rules.yml'), { onWarning: message => ruleWarnings.push(message) });
+    const backtests = runRules(rules, stocks, ohlc, { onWarning: message => ruleWarnings.push(message) });
+    writeOutput('backtest.html', generateBacktestPage(backtests, name => notes.resolve(name)));
+    log(`Generated: backtest.html (${rules.length} rules)`);
+
+    // Collect the dividend dates into a calendar page and an .ics download,
+    // with the expected cash of the shares held
+    const dividendCalendar = buildDividendCalendar(stocks.stocks, ohlc, {
+      holdings: extractHoldings(tableExports, stocks),
+      onWarning: message => priceWarnings.push(message)
+    });
+    writeOutput('dividends.html', generateDividendCalendarPage(dividendCalendar));
+    writeOutput('dividends.ics', dividendIcs(dividendCalendar));
+    log(`Generated: dividends.html, dividends.ics (${dividendCalendar.length} stocks)`);
+
+    // Price alerts and conditional orders from the 当前操作 column
+    const alerts = buildAlerts(tableExports, stocks, ohlc, { onWarning: message => priceWarnings.push(message) });
+    writeOutput('alerts.html', generateAlertsPage(alerts));
+    writeOutput('alerts.csv', alertsCsv(alerts));
+    log(`Generated: alerts.html, alerts.csv (${alerts.filter(alert => alert.active).length} active, ${alerts.filter(alert => alert.stale).length} cancelled)`);
+  }
+
+  // Generate the stock index and one page per dictionary entry (all of them
+  // when the note tables feeding their price history changed)
+  writeOutput('stocks/index.html', generateStockIndexPage(stockMentions));
+  stockMentions.forEach((notes, stock) => {
+    if (!priceScope && !inScope(`stocks/${stockFileName(stock)}`)) return;
+    writeOutput(`stocks/${stockFileName(stock)}`, generateStockPage(stock, notes, {
+      resolveImage: target => {
+        const resolved = vault.resolve(target);
+        return resolved ? `../${assets.url(resolved)}` : null;
+      },
+      history: renderPriceLevels(ohlc, stock) + renderStockHistory(stockHistory.get(stock))
+    }));
+  });
+  log(`Generated: stocks/ (${stockMentions.size} stocks)`);
+
+  // Publish every attachment the notes and stock pages reference
+  const copiedAssets = assets.copy();
+  changed.push(...copiedAssets.copied);
+  copiedAssets.files.forEach(file => outputs.add(file));
+  log(`Copied ${copiedAssets.copied.length} of ${copiedAssets.total} attachments`);
+
+  // Generate index page (dashboard)
+  const indexHtml = generateIndexPage(mdFiles, filesByFolder);
+  writeOutput('index.html', indexHtml);
+  log('Generated: index.html');
+
+  // Generate CSS
+  if (inScope('styles.css')) {
+    const css = generateCSS();
+    writeOutput('styles.css', css);
+    log('Generated: styles.css');
+  }
+
+  // Every output of a full build has been written; anything else in dist is
+  // left over from an earlier one
+  if (!incremental) {
+    const removed = removeStaleOutputs(outputs);
+    changed.push(...removed);
+    removed.forEach(relPath => log(`Removed: ${relPath}`));
+  }
+
+  // Remember this build for the next incremental one
+  if (cache) {
+    cache.notes = noteCache;
+    cache.layoutKey = layoutKey;
+    cache.dividendKey = dividendKey;
+  }
+
+  if (missingAssets.length > 0) {
+    console.warn(`\nWarning: ${missingAssets.length} references point at missing attachments:`);
+    missingAssets.forEach(({ file, target }) => {
+      console.warn(`  ${path.join(file.folder, file.filename)}: ${target}`);
+    });
+  }
+
+  if (missingLinks.length > 0) {
+    console.warn(`\nWarning: ${missingLinks.length} links point at missing notes:`);
+    missingLinks.forEach(({ file, target }) => {
+      console.warn(`  ${path.join(file.folder, file.filename)}: [[${target}]]`);
+    });
+  }
+
+  if (chartWarnings.length > 0) {
+    console.warn(`\nWarning: ${chartWarnings.length} chart blocks have problems:`);
+    chartWarnings.forEach(({ file, message }) => {
+      console.warn(`  ${path.join(file.folder, file.filename)}: ${message}`);
+    });
+  }
 
-// Group files by folder for better organization
-const filesByFolder = mdFiles.reduce((acc, file) => {
-  const folder = file.folder || '根目录';
-  if (!acc[folder]) {
-    acc[folder] = [];
+  // Every page reading a broken file reports it; list each message once
+  const priceProblems = [...new Set(priceWarnings)];
+  if (priceProblems.length > 0) {
+    console.warn(`\nWarning: ${priceProblems.length} price files could not be read:`);
+    priceProblems.forEach(message => console.warn(`  ${message}`));
   }
-  acc[folder].push(file);
-  return acc;
-}, {});
 
-console.log(`Found ${mdFiles.length} markdown files in ${Object.keys(filesByFolder).length} folders`);
+  if (ruleWarnings.length > 0) {
+    console.warn(`\nWarning: ${ruleWarnings.length} problems in data/rules.yml:`);
+    ruleWarnings.forEach(message => console.warn(`  ${message}`));
+  }
 
-// Generate HTML for each markdown file
-mdFiles.forEach(file => {
-  const htmlContent = marked(file.content);
-  const html = generateDocumentPage(file, htmlContent, mdFiles, filesByFolder);
-  fs.writeFileSync(path.join(distDir, `${file.outputName}.html`), html);
-  console.log(`Generated: ${file.outputName}.html`);
-});
+  const failedChecks = checks.flatMap(({ file, results }) => results.filter(result => !result.ok).map(result => ({ file, result })));
+  if (failedChecks.length > 0) {
+    console.warn(`\nWarning: ${failedChecks.length} computed figures do not match (see checks.html):`);
+    failedChecks.forEach(({ file, result }) => {
+      console.warn(`  ${path.join(file.folder, file.filename)}: ${result.text}, written ${result.stated}, computed ${result.computed}`);
+    });
+  }
 
-// Generate index page (dashboard)
-const indexHtml = generateIndexPage(mdFiles, filesByFolder);
-fs.writeFileSync(path.join(distDir, 'index.html'), indexHtml);
-console.log('Generated: index.html');
+  log(`\nBuild complete! ${changed.length} files changed in dist/`);
 
-// Generate CSS
-const css = generateCSS();
-fs.writeFileSync(path.join(distDir, 'styles.css'), css);
-console.log('Generated: styles.css');
+  return { changed };
+}
 
-console.log('\nBuild complete! Output in dist/');
 
 // Template functions
 function generateIndexPage(files, filesByFolder) {
@@ -135,20 +729,26 @@ function generateIndexPage(files, filesByFolder) {
   const folderSections = sortedFolders.map(folder => {
     const folderFiles = filesByFolder[folder];
     const cards = folderFiles.map(file => `
-      <a href="${file.outputName}.html" class="card">
-        <div class="card-icon">
-          <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <a href="${file.outputName}.html" class="card${file.type === 'canvas' ? ' card-canvas' : ''}">
+        ${file.coverUrl ? `<img class="card-cover" src="${file.coverUrl}" alt="" loading="lazy">` : `<div class="card-icon">
+          ${file.type === 'canvas' ? `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="3" y="3" width="7" height="7"></rect>
+            <rect x="14" y="3" width="7" height="7"></rect>
+            <rect x="14" y="14" width="7" height="7"></rect>
+            <rect x="3" y="14" width="7" height="7"></rect>
+          </svg>` : `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
             <polyline points="14 2 14 8 20 8"></polyline>
             <line x1="16" y1="13" x2="8" y2="13"></line>
             <line x1="16" y1="17" x2="8" y2="17"></line>
             <polyline points="10 9 9 9 8 9"></polyline>
-          </svg>
-        </div>
-        <h2 class="card-title">${file.title}</h2>
-        <p class="card-description">${file.description}</p>
+          </svg>`}
+        </div>`}
+        <h2 class="card-title">${escapeHtml(file.title)}</h2>
+        <p class="card-description">${escapeHtml(file.description)}</p>
+        ${file.tags && file.tags.length ? `<div class="card-tags">${file.tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
         <div class="card-meta">
-          <span class="card-date">${formatDate(file.mtime)}</span>
+          <span class="card-date">${file.date ? `${formatDate(file.date)} · ` : ''}更新 ${formatDate(file.mtime)}</span>
           <span class="card-size">${formatSize(file.size)}</span>
         </div>
       </a>
@@ -190,6 +790,22 @@ function generateIndexPage(files, filesByFolder) {
         <span class="stat-divider">|</span>
         <span class="stat">最后更新: ${formatDate(Math.max(...files.map(f => f.mtime)))}</span>
       </div>
+      <nav class="header-links">
+        <a href="timeline.html" class="header-link">时间线</a>
+        <a href="calendar.html" class="header-link">日历</a>
+        <a href="tags/index.html" class="header-link">标签</a>
+        <a href="stocks/index.html" class="header-link">股票</a>
+        <a href="tables/index.html" class="header-link">表格数据</a>
+        <a href="checks.html" class="header-link">数字核对</a>
+        <a href="patterns.html" class="header-link">K线形态筛选</a>
+        <a href="boll.html" class="header-link">周K BOLL状态</a>
+        <a href="crossovers.html" class="header-link">均线交叉</a>
+        <a href="backtest.html" class="header-link">规则回测</a>
+        <a href="dividends.html" class="header-link">分红日历</a>
+        <a href="alerts.html" class="header-link">提醒与条件单</a>
+        <a href="trade-cost.html" class="header-link">股价计算器</a>
+      </nav>
+      ${renderSearchBox()}
     </header>
 
     <nav class="folder-nav">
@@ -207,11 +823,12 @@ function generateIndexPage(files, filesByFolder) {
       <p>工作相关笔记</p>
     </footer>
   </div>
+  <script src="search.js" defer></script>
 </body>
 </html>`;
 }
 
-function generateDocumentPage(file, htmlContent, allFiles, filesByFolder) {
+function generateDocumentPage(file, htmlContent, allFiles, filesByFolder, backlinks, journalNav, calculatorLinks) {
   // Get sorted folder names with '根目录' (root) first
   const sortedFolders = Object.keys(filesByFolder).sort((a, b) => {
     if (a === '根目录') return -1;
@@ -245,12 +862,32 @@ function generateDocumentPage(file, htmlContent, allFiles, filesByFolder) {
     ? `<div class="doc-breadcrumb">${file.folder.replace(/[/\\]/g, ' / ')}</div>`
     : '';
 
+  // Notes linking here, sorted the same way as the sidebar
+  const backlinkItems = backlinks
+    .sort((a, b) => a.title.localeCompare(b.title, 'zh-CN'))
+    .map(f => `
+          <li>
+            <a href="${f.outputName}.html">${f.title}</a>
+            ${f.folder ? `<span class="backlink-folder">${f.folder.replace(/[/\\]/g, ' / ')}</span>` : ''}
+          </li>`)
+    .join('');
+
+  const backlinkSection = `
+        <section class="backlinks">
+          <h2 class="backlinks-title">被引用 <span class="backlinks-count">${backlinks.length}</span></h2>
+          ${backlinks.length > 0
+            ? `<ul class="backlinks-list">${backlinkItems}
+          </ul>`
+            : '<p class="backlinks-empty">暂无笔记引用本文</p>'}
+        </section>`;
+
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>${file.title} - 工作文档仓库</title>
+  ${file.description ? `<meta name="description" content="${escapeHtml(file.description)}">` : ''}
   <link rel="stylesheet" href="styles.css">
 </head>
 <body>
@@ -263,6 +900,21 @@ function generateDocumentPage(file, htmlContent, allFiles, filesByFolder) {
         </svg>
         <span>工作文档仓库</span>
       </a>
+      ${renderSearchBox({ variant: 'sidebar' })}
+      <div class="sidebar-links">
+        <a href="timeline.html" class="nav-link">时间线</a>
+        <a href="calendar.html" class="nav-link">日历</a>
+        <a href="tags/index.html" class="nav-link">标签</a>
+        <a href="stocks/index.html" class="nav-link">股票</a>
+        <a href="tables/index.html" class="nav-link">表格数据</a>
+        <a href="checks.html" class="nav-link">数字核对</a>
+        <a href="patterns.html" class="nav-link">K线形态筛选</a>
+        <a href="boll.html" class="nav-link">周K BOLL状态</a>
+        <a href="crossovers.html" class="nav-link">均线交叉</a>
+        <a href="backtest.html" class="nav-link">规则回测</a>
+        <a href="dividends.html" class="nav-link">分红日历</a>
+        <a href="alerts.html" class="nav-link">提醒与条件单</a>
+      </div>
       <nav class="sidebar-nav">
         <h3 class="nav-title">文档列表</h3>
         ${nav}
@@ -274,17 +926,27 @@ function generateDocumentPage(file, htmlContent, allFiles, filesByFolder) {
         <header class="doc-header">
           ${breadcrumb}
           <h1>${file.title}</h1>
+          ${file.aliases.length ? `<div class="doc-aliases">又名: ${file.aliases.map(escapeHtml).join('、')}</div>` : ''}
           <div class="doc-meta">
+            ${file.date ? `<span>日期: ${formatDate(file.date)}</span>` : ''}
+            <span>创建时间: ${formatDate(file.created)}</span>
             <span>更新时间: ${formatDate(file.mtime)}</span>
             <span>文件大小: ${formatSize(file.size)}</span>
           </div>
+          ${file.tags.length ? `<div class="doc-tags">${renderTagChips(file.tags)}</div>` : ''}
+          ${file.coverUrl ? `<img class="doc-cover" src="${file.coverUrl}" alt="">` : ''}
+          ${calculatorLinks}
         </header>
+        ${journalNav}
         <div class="markdown-body">
           ${htmlContent}
         </div>
+        ${journalNav}
+        ${backlinkSection}
       </article>
     </main>
   </div>
+  <script src="search.js" defer></script>
 </body>
 </html>`;
 }
@@ -354,6 +1016,132 @@ body {
   margin: 0 0.5rem;
 }
 
+.header-links {
+  display: flex;
+  justify-content: center;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin-top: 1.25rem;
+}
+
+.header-link {
+  padding: 0.375rem 1rem;
+  background: rgba(255, 255, 255, 0.15);
+  color: white;
+  text-decoration: none;
+  border-radius: 999px;
+  font-size: 0.9rem;
+  transition: background 0.15s ease;
+}
+
+.header-link:hover {
+  background: rgba(255, 255, 255, 0.3);
+}
+
+/* Search */
+.search {
+  position: relative;
+}
+
+.search-header {
+  max-width: 560px;
+  margin: 1.25rem auto 0;
+}
+
+.search-sidebar {
+  margin-bottom: 1rem;
+}
+
+.search-input {
+  width: 100%;
+  padding: 0.625rem 1rem;
+  border: 1px solid var(--border-color);
+  border-radius: 0.5rem;
+  font-size: 0.95rem;
+  color: var(--text-color);
+  background: var(--card-bg);
+  outline: none;
+}
+
+.search-input:focus {
+  border-color: var(--primary-color);
+  box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.25);
+}
+
+.search-sidebar .search-input {
+  background: rgba(255, 255, 255, 0.08);
+  border-color: rgba(255, 255, 255, 0.15);
+  color: var(--sidebar-text);
+  font-size: 0.85rem;
+}
+
+.search-results {
+  position: absolute;
+  z-index: 20;
+  top: calc(100% + 0.375rem);
+  left: 0;
+  right: 0;
+  max-height: 420px;
+  overflow-y: auto;
+  background: var(--card-bg);
+  border: 1px solid var(--border-color);
+  border-radius: 0.5rem;
+  box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
+  text-align: left;
+}
+
+.search-sidebar .search-results {
+  width: 420px;
+  max-width: calc(100vw - 2rem);
+}
+
+.search-result {
+  display: block;
+  padding: 0.75rem 1rem;
+  border-bottom: 1px solid var(--border-color);
+  color: var(--text-color);
+  text-decoration: none;
+}
+
+.search-result:last-child {
+  border-bottom: none;
+}
+
+.search-result:hover,
+.search-result.is-active {
+  background: #eff6ff;
+}
+
+.search-result-title {
+  display: block;
+  font-weight: 600;
+}
+
+.search-result-folder {
+  display: inline-block;
+  font-size: 0.75rem;
+  color: var(--text-muted);
+}
+
+.search-result-snippet {
+  display: block;
+  font-size: 0.85rem;
+  color: var(--text-muted);
+  line-height: 1.5;
+}
+
+.search-result mark {
+  background: #fef08a;
+  color: inherit;
+  padding: 0 0.125rem;
+}
+
+.search-empty {
+  padding: 1rem;
+  color: var(--text-muted);
+  font-size: 0.9rem;
+}
+
 /* Folder Navigation */
 .folder-nav {
   background: var(--card-bg);
@@ -480,6 +1268,37 @@ body {
   color: var(--text-muted);
 }
 
+.card-cover {
+  display: block;
+  width: calc(100% + 3rem);
+  height: 140px;
+  margin: -1.5rem -1.5rem 1rem;
+  object-fit: cover;
+  border-radius: 0.75rem 0.75rem 0 0;
+}
+
+.card-tags,
+.doc-tags {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.375rem;
+  margin-bottom: 1rem;
+}
+
+.doc-tags {
+  margin: 0.75rem 0 0;
+}
+
+.tag {
+  display: inline-block;
+  padding: 0.1rem 0.5rem;
+  background: #eff6ff;
+  color: var(--primary-color);
+  border-radius: 999px;
+  font-size: 0.8rem;
+  text-decoration: none;
+}
+
 .footer {
   text-align: center;
   margin-top: 3rem;
@@ -545,6 +1364,12 @@ body {
   color: white;
 }
 
+.sidebar-links {
+  padding-bottom: 1rem;
+  margin-bottom: 1rem;
+  border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+}
+
 /* Sidebar Folder Navigation */
 .nav-folder {
   margin-bottom: 1rem;
@@ -600,6 +1425,21 @@ body {
   margin-bottom: 0.5rem;
 }
 
+.doc-aliases {
+  font-size: 0.9rem;
+  color: var(--text-muted);
+  margin-bottom: 0.5rem;
+}
+
+.doc-cover {
+  display: block;
+  width: 100%;
+  max-height: 320px;
+  object-fit: cover;
+  margin-top: 1rem;
+  border-radius: 0.5rem;
+}
+
 .doc-meta {
   display: flex;
   gap: 1.5rem;
@@ -696,6 +1536,64 @@ body {
   margin: 1rem 0;
 }
 
+.markdown-body .embed-missing {
+  display: inline-block;
+  padding: 0.25rem 0.75rem;
+  background: #fef2f2;
+  color: #b91c1c;
+  border: 1px dashed #fca5a5;
+  border-radius: 0.375rem;
+  font-size: 0.85rem;
+}
+
+/* Charts */
+.markdown-body .chart {
+  width: 100%;
+  margin: 1rem 0;
+  padding: 0.5rem;
+  background: var(--card-bg);
+  border: 1px solid var(--border-color);
+  border-radius: 0.5rem;
+}
+
+.chart svg {
+  display: block;
+  width: 100%;
+  height: auto;
+  font-size: 12px;
+  fill: var(--text-muted);
+}
+
+.chart-legend-item text {
+  fill: var(--text-color);
+}
+
+.chart-grid {
+  stroke: var(--border-color);
+  stroke-width: 1;
+}
+
+.chart-axis {
+  stroke: var(--text-muted);
+  stroke-width: 1;
+}
+
+.chart-best-fit {
+  stroke: #64748b;
+  stroke-width: 1.5;
+  stroke-dasharray: 6 4;
+}
+
+.markdown-body .chart-error {
+  padding: 0.5rem 0.75rem;
+  margin-bottom: 0.5rem;
+  background: #fef2f2;
+  color: #b91c1c;
+  border-left: 4px solid #f87171;
+  border-radius: 0.25rem;
+  font-size: 0.85rem;
+}
+
 .markdown-body a {
   color: var(--primary-color);
   text-decoration: none;
@@ -705,36 +1603,957 @@ body {
   text-decoration: underline;
 }
 
+.markdown-body .internal-link.is-unresolved {
+  color: var(--text-muted);
+  border-bottom: 1px dashed var(--text-muted);
+  cursor: help;
+}
+
 .markdown-body hr {
   border: none;
   border-top: 1px solid var(--border-color);
   margin: 2rem 0;
 }
 
-/* Responsive Design */
-@media (max-width: 768px) {
-  .container {
-    padding: 1rem;
-  }
+/* Generated Pages */
+.page-header {
+  margin-bottom: 2rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid var(--border-color);
+}
 
-  .header-title {
-    font-size: 1.75rem;
-  }
+.page-back {
+  display: inline-block;
+  margin-bottom: 1rem;
+  color: var(--primary-color);
+  text-decoration: none;
+  font-size: 0.9rem;
+}
 
-  .cards-grid {
-    grid-template-columns: 1fr;
-  }
+.page-title {
+  font-size: 2rem;
+  font-weight: 700;
+}
 
-  .sidebar {
-    width: 100%;
-    height: auto;
-    position: relative;
-  }
+.page-subtitle {
+  color: var(--text-muted);
+}
 
-  .doc-main {
-    margin-left: 0;
-    padding: 1rem;
-  }
+.page-subtitle a {
+  color: var(--primary-color);
+}
+
+.empty-state {
+  padding: 2rem;
+  text-align: center;
+  color: var(--text-muted);
+}
+
+/* Tags */
+a.tag:hover {
+  background: var(--primary-color);
+  color: white;
+}
+
+.tag-index {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 0.75rem;
+}
+
+.tag-index-item {
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  padding: 0.75rem 1rem;
+  background: var(--card-bg);
+  border: 1px solid var(--border-color);
+  border-radius: 0.5rem;
+  text-decoration: none;
+  transition: border-color 0.15s ease;
+}
+
+.tag-index-item:hover {
+  border-color: var(--primary-color);
+}
+
+.tag-count,
+.tag-context-meta {
+  font-size: 0.85rem;
+  color: var(--text-muted);
+}
+
+.tag-note {
+  margin-bottom: 2rem;
+}
+
+.tag-note-title {
+  font-size: 1.25rem;
+  margin-bottom: 0.5rem;
+}
+
+.tag-note-title a {
+  color: var(--text-color);
+  text-decoration: none;
+}
+
+.tag-note-title a:hover {
+  color: var(--primary-color);
+}
+
+.tag-context {
+  margin: 0.75rem 0;
+  padding: 0.75rem 1rem;
+  background: var(--card-bg);
+  border-left: 4px solid var(--primary-color);
+  border-radius: 0.25rem;
+  white-space: pre-wrap;
+  font-size: 0.9rem;
+}
+
+.tag-context mark {
+  background: #fef08a;
+  padding: 0 0.125rem;
+}
+
+/* Stocks */
+.stock-link {
+  color: inherit;
+  text-decoration: none;
+  border-bottom: 1px dashed var(--primary-color);
+}
+
+.stock-link:hover {
+  color: var(--primary-color);
+}
+
+.stock-index {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 0.75rem;
+}
+
+.stock-index-item {
+  display: flex;
+  align-items: baseline;
+  gap: 0.5rem;
+  padding: 0.75rem 1rem;
+  background: var(--card-bg);
+  border: 1px solid var(--border-color);
+  border-radius: 0.5rem;
+  text-decoration: none;
+  color: var(--text-color);
+}
+
+.stock-index-item:hover {
+  border-color: var(--primary-color);
+}
+
+.stock-index-item.is-empty {
+  opacity: 0.6;
+}
+
+.stock-name {
+  font-weight: 600;
+}
+
+.stock-code {
+  flex: 1;
+  font-size: 0.85rem;
+  color: var(--text-muted);
+  font-variant-numeric: tabular-nums;
+}
+
+.stock-row-wrap {
+  margin: 0.75rem 0;
+  overflow-x: auto;
+}
+
+.stock-row {
+  border-collapse: collapse;
+  font-size: 0.85rem;
+  white-space: nowrap;
+}
+
+.stock-row th,
+.stock-row td {
+  padding: 0.375rem 0.625rem;
+  border: 1px solid var(--border-color);
+  text-align: left;
+}
+
+.stock-row th {
+  background: var(--card-bg);
+}
+
+.stock-row mark,
+.stock-shot mark {
+  background: #fef08a;
+  padding: 0 0.125rem;
+}
+
+.stock-shot {
+  margin: 0.75rem 0;
+}
+
+.stock-shot img {
+  max-width: 100%;
+  border: 1px solid var(--border-color);
+  border-radius: 0.25rem;
+}
+
+.stock-shot figcaption {
+  font-size: 0.85rem;
+  color: var(--text-muted);
+}
+
+/* Table exports */
+.table-export {
+  display: flex;
+  gap: 0.75rem;
+  margin: -0.5rem 0 1.5rem;
+  font-size: 0.8rem;
+  color: var(--text-muted);
+}
+
+.table-export a {
+  color: var(--primary-color);
+  text-decoration: none;
+}
+
+.table-index {
+  list-style: none;
+  padding: 0;
+}
+
+.table-index-item {
+  display: flex;
+  align-items: baseline;
+  gap: 0.75rem;
+  padding: 0.5rem 0;
+  border-bottom: 1px solid var(--border-color);
+}
+
+.table-index-name {
+  flex: 1;
+}
+
+/* Stock table history */
+.stock-history {
+  margin-bottom: 2.5rem;
+}
+
+.stock-history-charts {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+  gap: 1rem;
+}
+
+.history-log {
+  list-style: none;
+  padding: 0;
+  font-size: 0.9rem;
+}
+
+.history-change {
+  padding: 0.375rem 0;
+  border-bottom: 1px solid var(--border-color);
+}
+
+.history-date {
+  margin-right: 0.5rem;
+  font-variant-numeric: tabular-nums;
+  color: var(--text-muted);
+}
+
+.history-field {
+  font-weight: 600;
+}
+
+.history-from {
+  color: var(--text-muted);
+  text-decoration: line-through;
+}
+
+.history-arrow {
+  margin: 0 0.25rem;
+  color: var(--text-muted);
+}
+
+/* Figure checks */
+.check-warning {
+  margin: -0.5rem 0 1rem;
+  padding: 0.5rem 0.75rem;
+  background: #fef2f2;
+  border: 1px solid #fecaca;
+  border-radius: 0.375rem;
+  color: #b91c1c;
+  font-size: 0.85rem;
+}
+
+.check-list {
+  list-style: none;
+  padding: 0;
+}
+
+.check-item {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: baseline;
+  gap: 0.5rem;
+  padding: 0.5rem 0;
+  border-bottom: 1px solid var(--border-color);
+  font-size: 0.9rem;
+}
+
+.check-kind {
+  padding: 0 0.375rem;
+  background: var(--card-bg);
+  border: 1px solid var(--border-color);
+  border-radius: 0.25rem;
+  font-size: 0.75rem;
+  color: var(--text-muted);
+}
+
+.check-stated {
+  color: #b91c1c;
+}
+
+.check-computed {
+  color: #15803d;
+}
+
+/* Calculators */
+.doc-calculators {
+  margin-top: 0.75rem;
+}
+
+.doc-calculator {
+  display: inline-block;
+  padding: 0.375rem 0.75rem;
+  border: 1px solid var(--primary-color);
+  border-radius: 0.375rem;
+  color: var(--primary-color);
+  text-decoration: none;
+  font-size: 0.9rem;
+}
+
+.doc-calculator:hover {
+  background: var(--primary-color);
+  color: #fff;
+}
+
+.calculator-form {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1.5rem;
+}
+
+.calculator-field {
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.85rem;
+  color: var(--text-muted);
+}
+
+.calculator-field input {
+  padding: 0.5rem 0.75rem;
+  border: 1px solid var(--border-color);
+  border-radius: 0.375rem;
+  font-size: 1rem;
+  font-variant-numeric: tabular-nums;
+}
+
+.calculator-field input[aria-invalid="true"] {
+  border-color: #dc2626;
+  outline-color: #dc2626;
+}
+
+.calculator-summary {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 0.75rem;
+  margin-bottom: 1.5rem;
+}
+
+.calculator-stat {
+  display: flex;
+  flex-direction: column;
+  padding: 0.75rem 1rem;
+  background: var(--card-bg);
+  border: 1px solid var(--border-color);
+  border-radius: 0.5rem;
+  font-size: 0.85rem;
+  color: var(--text-muted);
+}
+
+.calculator-stat strong {
+  font-size: 1.1rem;
+  color: var(--text-color);
+  font-variant-numeric: tabular-nums;
+}
+
+.calculator-heading {
+  margin-bottom: 0.75rem;
+  font-size: 1.1rem;
+}
+
+.calculator-grid-wrap {
+  overflow-x: auto;
+}
+
+.calculator-grid {
+  border-collapse: collapse;
+  font-size: 0.85rem;
+  font-variant-numeric: tabular-nums;
+}
+
+.calculator-grid th,
+.calculator-grid td {
+  padding: 0.375rem 0.75rem;
+  border: 1px solid var(--border-color);
+  text-align: right;
+}
+
+.calculator-grid th {
+  background: var(--card-bg);
+}
+
+.calculator-grid small {
+  color: var(--text-muted);
+  font-weight: normal;
+}
+
+.is-gain {
+  color: #dc2626;
+}
+
+.is-loss {
+  color: #16a34a;
+}
+
+.calculator-error {
+  color: #b91c1c;
+}
+
+/* Pattern screener */
+.screen-counts {
+  margin-bottom: 1rem;
+  font-size: 0.9rem;
+}
+
+.screen-table td:nth-child(-n+3) {
+  text-align: left;
+  white-space: nowrap;
+}
+
+.screen-table .screen-detail {
+  text-align: left;
+  color: var(--text-muted);
+}
+
+/* Weekly BOLL state */
+.boll-table td:nth-child(-n+4),
+.boll-table .boll-written {
+  text-align: left;
+  white-space: nowrap;
+}
+
+.boll-table .is-different {
+  background: #fef2f2;
+  color: #b91c1c;
+}
+
+.boll-markdown {
+  overflow-x: auto;
+  padding: 1rem;
+  background: var(--card-bg);
+  border: 1px solid var(--border-color);
+  border-radius: 0.5rem;
+  font-size: 0.8rem;
+}
+
+/* Moving-average crossovers */
+.cross-table td {
+  text-align: left;
+}
+
+.timeline-kind.cross-up,
+.timeline-kind.cross-rising {
+  color: #dc2626;
+  border-color: #fecaca;
+}
+
+.timeline-kind.cross-down,
+.timeline-kind.cross-falling {
+  color: #16a34a;
+  border-color: #bbf7d0;
+}
+
+/* Rule backtests */
+.backtest-trades {
+  margin-top: 0.75rem;
+}
+
+.backtest-trades summary {
+  cursor: pointer;
+  color: var(--primary-color);
+  font-size: 0.9rem;
+}
+
+.backtest-trades .calculator-grid {
+  margin-top: 0.5rem;
+}
+
+/* Adjusted price levels */
+.price-levels th:first-child {
+  text-align: left;
+  white-space: nowrap;
+}
+
+.price-levels .is-current {
+  background: #eff6ff;
+  font-weight: 600;
+}
+
+/* Dividend calendar */
+.dividend-table td:first-child,
+.dividend-table td:last-child {
+  text-align: left;
+  white-space: nowrap;
+}
+
+.dividend-table .is-upcoming {
+  background: #fef9c3;
+}
+
+.dividend-upcoming [hidden],
+.empty-state[hidden] {
+  display: none;
+}
+
+/* Alerts and conditional orders */
+.alerts-table td {
+  white-space: nowrap;
+}
+
+.alerts-table .alert-price {
+  font-weight: 600;
+}
+
+.alerts-table .alert-guess {
+  color: #b45309;
+}
+
+.alerts-table .alert-text {
+  text-align: left;
+  white-space: normal;
+  min-width: 12rem;
+}
+
+/* Timeline and Calendar */
+.timeline-month,
+.calendar-month {
+  margin-bottom: 2.5rem;
+}
+
+.timeline-month-title {
+  display: flex;
+  align-items: center;
+  gap: 0.75rem;
+  font-size: 1.25rem;
+  font-weight: 600;
+  margin-bottom: 1rem;
+  padding-bottom: 0.5rem;
+  border-bottom: 2px solid var(--border-color);
+  scroll-margin-top: 2rem;
+}
+
+.timeline-list {
+  list-style: none;
+  border-left: 2px solid var(--border-color);
+  margin-left: 0.5rem;
+}
+
+.timeline-item {
+  display: flex;
+  align-items: baseline;
+  gap: 0.75rem;
+  padding: 0.5rem 0 0.5rem 1.25rem;
+  position: relative;
+}
+
+.timeline-item::before {
+  content: '';
+  position: absolute;
+  left: -6px;
+  top: 0.95rem;
+  width: 10px;
+  height: 10px;
+  border-radius: 50%;
+  background: var(--primary-color);
+}
+
+.timeline-date {
+  min-width: 4.5rem;
+  font-size: 0.85rem;
+  color: var(--text-muted);
+}
+
+.timeline-kind {
+  font-size: 0.75rem;
+  padding: 0.05rem 0.5rem;
+  border-radius: 999px;
+  background: var(--bg-color);
+  border: 1px solid var(--border-color);
+  color: var(--text-muted);
+}
+
+.timeline-kind-journal {
+  color: var(--primary-color);
+  border-color: #bfdbfe;
+}
+
+.timeline-kind-weekly {
+  color: #7c3aed;
+  border-color: #ddd6fe;
+}
+
+.journal-link {
+  color: var(--text-color);
+  text-decoration: none;
+}
+
+.journal-link:hover {
+  color: var(--primary-color);
+  text-decoration: underline;
+}
+
+.calendar {
+  width: 100%;
+  table-layout: fixed;
+  border-collapse: collapse;
+  background: var(--card-bg);
+}
+
+.calendar th {
+  padding: 0.5rem;
+  font-size: 0.8rem;
+  font-weight: 600;
+  color: var(--text-muted);
+  border: 1px solid var(--border-color);
+}
+
+.calendar td {
+  height: 5.5rem;
+  padding: 0.375rem;
+  vertical-align: top;
+  border: 1px solid var(--border-color);
+  font-size: 0.8rem;
+}
+
+.calendar-day.is-empty {
+  background: var(--bg-color);
+}
+
+.calendar-day.has-entries {
+  background: #eff6ff;
+}
+
+.calendar-day-number {
+  display: block;
+  font-weight: 600;
+  color: var(--text-muted);
+}
+
+.calendar .journal-link {
+  display: block;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.calendar-week {
+  background: #f5f3ff;
+}
+
+.journal-nav {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+  margin: 1.5rem 0;
+  font-size: 0.9rem;
+}
+
+.journal-nav-link,
+.journal-nav-calendar {
+  color: var(--primary-color);
+  text-decoration: none;
+}
+
+.journal-nav-link.is-disabled {
+  color: var(--border-color);
+}
+
+/* Backlinks */
+.backlinks {
+  margin-top: 3rem;
+  padding-top: 1.5rem;
+  border-top: 1px solid var(--border-color);
+}
+
+.backlinks-title {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  font-size: 1.1rem;
+  font-weight: 600;
+  margin-bottom: 1rem;
+}
+
+.backlinks-count {
+  font-size: 0.75rem;
+  font-weight: 500;
+  padding: 0.1rem 0.5rem;
+  background: var(--bg-color);
+  border: 1px solid var(--border-color);
+  border-radius: 999px;
+  color: var(--text-muted);
+}
+
+.backlinks-list {
+  list-style: none;
+}
+
+.backlinks-list li {
+  display: flex;
+  align-items: baseline;
+  justify-content: space-between;
+  gap: 1rem;
+  padding: 0.5rem 0;
+  border-bottom: 1px dashed var(--border-color);
+}
+
+.backlinks-list a {
+  color: var(--primary-color);
+  text-decoration: none;
+}
+
+.backlinks-list a:hover {
+  text-decoration: underline;
+}
+
+.backlink-folder,
+.backlinks-empty {
+  font-size: 0.85rem;
+  color: var(--text-muted);
+}
+
+/* Canvas Boards */
+.card-canvas .card-icon {
+  background: linear-gradient(135deg, #0891b2, var(--primary-color));
+}
+
+.canvas-page {
+  display: flex;
+  flex-direction: column;
+  height: 100vh;
+  overflow: hidden;
+}
+
+.canvas-toolbar {
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  padding: 0.75rem 1.5rem;
+  background: var(--sidebar-bg);
+  color: var(--sidebar-text);
+}
+
+.canvas-back {
+  color: white;
+  text-decoration: none;
+  font-weight: 600;
+}
+
+.canvas-toolbar .doc-breadcrumb {
+  margin: 0;
+  background: rgba(255, 255, 255, 0.1);
+  color: var(--sidebar-text);
+}
+
+.canvas-title {
+  font-size: 1.1rem;
+  font-weight: 600;
+}
+
+.canvas-controls {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-left: auto;
+}
+
+.canvas-controls button {
+  min-width: 2rem;
+  padding: 0.25rem 0.625rem;
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  border-radius: 0.375rem;
+  cursor: pointer;
+}
+
+.canvas-controls button:hover {
+  background: var(--primary-color);
+}
+
+.canvas-zoom-level {
+  min-width: 3rem;
+  text-align: center;
+  font-size: 0.85rem;
+}
+
+.canvas-viewport {
+  position: relative;
+  flex: 1;
+  overflow: hidden;
+  cursor: grab;
+  touch-action: none;
+  background-color: var(--bg-color);
+  background-image: radial-gradient(var(--border-color) 1px, transparent 1px);
+  background-size: 20px 20px;
+}
+
+.canvas-viewport.is-dragging {
+  cursor: grabbing;
+}
+
+.canvas-world {
+  position: absolute;
+  top: 0;
+  left: 0;
+  transform-origin: 0 0;
+}
+
+.canvas-edges {
+  position: absolute;
+  top: 0;
+  left: 0;
+  overflow: visible;
+  pointer-events: none;
+}
+
+.canvas-edges path {
+  fill: none;
+  stroke-width: 2;
+}
+
+.canvas-edge-label {
+  font-size: 14px;
+  fill: var(--text-muted);
+}
+
+.canvas-node {
+  position: absolute;
+  overflow: hidden;
+  background: var(--card-bg);
+  border: 2px solid var(--node-color, var(--border-color));
+  border-radius: 0.5rem;
+  box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+}
+
+.canvas-node-group {
+  background: transparent;
+  border-style: dashed;
+  box-shadow: none;
+}
+
+.canvas-node-file {
+  display: flex;
+  align-items: center;
+  justify-content: center;
+}
+
+.canvas-node img {
+  display: block;
+  max-width: 100%;
+  max-height: 100%;
+  object-fit: contain;
+}
+
+.canvas-text {
+  padding: 0.75rem 1rem;
+  height: 100%;
+  overflow: auto;
+}
+
+.canvas-group-label {
+  position: absolute;
+  top: -1.75rem;
+  left: 0;
+  font-weight: 600;
+  color: var(--node-color, var(--text-muted));
+}
+
+.canvas-note,
+.canvas-file,
+.canvas-link {
+  display: block;
+  padding: 1rem;
+  width: 100%;
+  height: 100%;
+  color: inherit;
+  text-decoration: none;
+  word-break: break-all;
+}
+
+.canvas-note-title {
+  display: block;
+  font-weight: 600;
+  margin-bottom: 0.5rem;
+  color: var(--primary-color);
+}
+
+.canvas-note-description {
+  font-size: 0.85rem;
+  color: var(--text-muted);
+}
+
+.canvas-missing,
+.canvas-empty {
+  padding: 1rem;
+  color: #b91c1c;
+  font-size: 0.85rem;
+}
+
+/* Responsive Design */
+@media (max-width: 768px) {
+  .container {
+    padding: 1rem;
+  }
+
+  .header-title {
+    font-size: 1.75rem;
+  }
+
+  .cards-grid {
+    grid-template-columns: 1fr;
+  }
+
+  .sidebar {
+    width: 100%;
+    height: auto;
+    position: relative;
+  }
+
+  .doc-main {
+    margin-left: 0;
+    padding: 1rem;
+  }
 
   .doc-container {
     flex-direction: column;
@@ -757,3 +2576,9 @@ function formatSize(bytes) {
   if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
+
+if (require.main === module) {
+  build();
+}
+
+module.exports = { build };
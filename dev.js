@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { build } = require('./build');
+
+// Dev server: serves dist/, rebuilds when the vault changes and pushes
+// reloads (or build errors) to open tabs over server-sent events.
+//
+// Builds after the first are incremental: editing a note's body re-renders
+// that note only and regenerates the pages depending on it (backlinks, tags,
+// stock pages, the index). Other changes fall back to a full build, which
+// also removes outputs no longer produced. Only tabs showing a changed page
+// reload.
+
+const rootDir = __dirname;
+const distDir = path.join(rootDir, 'dist');
+const port = Number(process.env.PORT) || 3000;
+
+// Changes under these never affect the site (.obsidian rewrites workspace.json constantly)
+const ignoredRoots = ['dist', 'node_modules', '.git', '.obsidian', '.netlify', '.vs', 'test'];
+
+const mimeTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.pdf': 'application/pdf'
+};
+
+const clientScript = fs.readFileSync(path.join(rootDir, 'lib', 'client', 'dev.js'), 'utf-8');
+const clients = new Set();
+let lastError = null;
+// Kept between builds so unchanged notes are not rendered again
+let buildCache = {};
+
+function broadcast(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(message));
+}
+
+function runBuild(changedFiles = null) {
+  const started = Date.now();
+  try {
+    const { changed } = build({ quiet: true, cache: buildCache, changedFiles });
+    lastError = null;
+    console.log(`Rebuilt in ${Date.now() - started}ms, ${changed.length} files changed`);
+    broadcast('built', { changed });
+  } catch (err) {
+    // dist may be half written: start over with a full build
+    buildCache = {};
+    lastError = err.stack || String(err);
+    console.error(`Build failed:\n${lastError}`);
+    broadcast('build-error', { error: lastError });
+  }
+}
+
+function serveFile(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    res.writeHead(400).end('Bad request');
+    return;
+  }
+
+  let filePath = path.join(distDir, path.normalize(urlPath));
+  // A prefix check alone would let dist-old/… through
+  const relative = path.relative(distDir, filePath);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    res.writeHead(403).end('Forbidden');
+    return;
+  }
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+  if (!fs.existsSync(filePath)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+    return;
+  }
+
+  const type = mimeTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  let body = fs.readFileSync(filePath);
+
+  // Inject the reload client into every page
+  if (type.startsWith('text/html')) {
+    body = body.toString('utf-8').replace('</body>', '<script src="/__dev/client.js"></script>\n</body>');
+  }
+
+  res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/__dev/events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+    if (lastError) res.write(`event: build-error\ndata: ${JSON.stringify({ error: lastError })}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    return;
+  }
+
+  if (req.url === '/__dev/client.js') {
+    res.writeHead(200, { 'Content-Type': mimeTypes['.js'], 'Cache-Control': 'no-store' });
+    res.end(clientScript);
+    return;
+  }
+
+  serveFile(req, res);
+});
+
+// Collapse the burst of events an editor save produces into one rebuild
+let timer = null;
+let pending = new Set();
+fs.watch(rootDir, { recursive: true }, (eventType, filename) => {
+  if (!filename) return;
+  const top = filename.split(path.sep)[0];
+  if (ignoredRoots.includes(top)) return;
+
+  pending.add(filename);
+  clearTimeout(timer);
+  timer = setTimeout(() => {
+    const changedFiles = [...pending];
+    pending = new Set();
+    console.log(`Changed: ${changedFiles.join(', ')}`);
+    runBuild(changedFiles);
+  }, 150);
+});
+
+runBuild();
+server.listen(port, () => {
+  console.log(`Dev server running at http://localhost:${port}`);
+  console.log('Watching the vault for changes (restart after editing build.js or lib/)');
+});
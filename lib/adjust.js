@@ -0,0 +1,286 @@
+const { escapeHtml } = require('./html');
+const { OhlcError, ohlcDir, resample } = require('./ohlc');
+const { sma } = require('./indicators');
+
+// 除权 / 前复权 / 后复权 price series. The CSVs in data/ohlc/ hold 除权 prices
+// (what was actually traded); dividends and 送股/转增 come from
+// data/dividends/<code>.csv and from the dividend tables pasted into notes:
+//
+//   | 公告日期 | 年度 | 分红 (每10股) | 送股/转增 (每10股) | 股权登记日 | 除权除息日 | 派送日 |
+//
+// 202603/2026-03-03: "送股=前复权, 只分红=除权", so by default a stock with
+// any 送股/转增 is shown 前复权 and one that only pays cash stays 除权.
+
+const modes = {
+  auto: 'auto',
+  除权: 'none',
+  none: 'none',
+  前复权: 'forward',
+  forward: 'forward',
+  后复权: 'backward',
+  backward: 'backward'
+};
+const modeLabels = { none: '除权', forward: '前复权', backward: '后复权' };
+
+function resolveMode(mode, events) {
+  const resolved = modes[String(mode || 'auto').trim().toLowerCase()];
+  if (!resolved) throw new OhlcError(`不支持的复权方式 "${mode}"，可用: 除权, 前复权, 后复权`);
+  if (resolved !== 'auto') return resolved;
+  return events.some(event => event.bonus > 0) ? 'forward' : 'none';
+}
+
+// Price factor of each ex-date: the 除权参考价 (前收盘 - 每股分红) / (1 + 每股送转)
+// over the previous close. Events before the first bar or without a
+// previous close change nothing.
+function exFactors(bars, events) {
+  const factors = [];
+  let j = 0;
+  events.forEach(event => {
+    while (j < bars.length && bars[j].date < event.date) j++;
+    if (j === 0 || j === bars.length) return;
+    const previous = bars[j - 1].close;
+    const reference = (previous - event.cash) / (1 + event.bonus);
+    if (reference > 0) factors.push({ index: j, factor: reference / previous });
+  });
+  return factors;
+}
+
+function scale(bar, multiplier) {
+  const price = value => Number((value * multiplier).toFixed(3));
+  return { ...bar, open: price(bar.open), high: price(bar.high), low: price(bar.low), close: price(bar.close) };
+}
+
+// 前复权 keeps the latest prices and scales everything before each ex-date
+// down; 后复权 keeps the first prices and scales everything after it up.
+// Volumes are left as traded.
+function adjustBars(bars, events, mode) {
+  const resolved = resolveMode(mode, events);
+  const factors = exFactors(bars, events);
+  if (resolved === 'none' || factors.length === 0) return bars;
+
+  const multipliers = new Array(bars.length).fill(1);
+  if (resolved === 'forward') {
+    let multiplier = 1;
+    let next = factors.length - 1;
+    for (let i = bars.length - 1; i >= 0; i--) {
+      while (next >= 0 && factors[next].index > i) multiplier *= factors[next--].factor;
+      multipliers[i] = multiplier;
+    }
+  } else {
+    let multiplier = 1;
+    let next = 0;
+    for (let i = 0; i < bars.length; i++) {
+      while (next < factors.length && factors[next].index <= i) multiplier /= factors[next++].factor;
+      multipliers[i] = multiplier;
+    }
+  }
+  return bars.map((bar, i) => (multipliers[i] === 1 ? bar : scale(bar, multipliers[i])));
+}
+
+const eventColumns = {
+  date: /^(除权除息日|除权日|除息日)$/,
+  perShare: /^每股分红/,
+  cash: /^(分红|派息)(?!年度|方案)/,
+  plan: /^分红方案/,
+  bonus: /^(送股|转增|送转)/,
+  year: /^(分红)?年度$/,
+  announced: /^公告日期$/,
+  record: /^股权登记日$/,
+  paid: /^(派送日|派息日|红利发放日)$/
+};
+
+// Sums "3/2" (送/转) style cells; "-/-" and "-" are 0
+function cellAmount(cell) {
+  if (!cell || cell.type === 'empty') return 0;
+  if (cell.type === 'number') return cell.value;
+  return cell.text.split('/').reduce((sum, part) => {
+    const value = Number(part.replace(/[¥￥元\s]/g, ''));
+    return sum + (Number.isFinite(value) ? value : 0);
+  }, 0);
+}
+
+// "10派8.0131元", "10送3转2派1.5元" → per-share { cash, bonus }
+function parsePlan(text) {
+  const base = /^(\d+)/.exec(text);
+  const per = base ? Number(base[1]) : 10;
+  const number = pattern => {
+    const match = pattern.exec(text);
+    return match ? Number(match[1]) / per : 0;
+  };
+  return { cash: number(/派([\d.]+)/), bonus: number(/送([\d.]+)/) + number(/转增?([\d.]+)/) };
+}
+
+// A dividend table whose header is the stock's name, with the real header
+// as its first row, as when several stocks' tables are pasted together
+function unwrapTitledTable(table, stocks) {
+  const title = table.columns[0] ? stocks.lookup(table.columns[0].name) : null;
+  const first = table.rows[0];
+  if (!title || !first || !first.some(cell => eventColumns.date.test(cell.text))) return null;
+  return { stock: title, names: first.map(cell => cell.text.replace(/\s+/g, '')), rows: table.rows.slice(1) };
+}
+
+function tableEvents(names, rows) {
+  const index = {};
+  Object.entries(eventColumns).forEach(([key, pattern]) => {
+    index[key] = names.findIndex(name => pattern.test(name.replace(/\s+/g, '')));
+  });
+  if (index.date === -1 || (index.perShare === -1 && index.cash === -1 && index.plan === -1)) return [];
+  const perTen = key => (/10股/.test(names[index[key]]) ? 10 : 1);
+
+  return rows.map(row => {
+    const date = row[index.date];
+    if (!date || date.type !== 'date') return null;
+    let cash = 0;
+    let bonus = index.bonus === -1 ? 0 : cellAmount(row[index.bonus]) / perTen('bonus');
+    if (index.perShare !== -1) {
+      cash = cellAmount(row[index.perShare]);
+    } else if (index.cash !== -1) {
+      cash = cellAmount(row[index.cash]) / perTen('cash');
+    }
+    if (index.plan !== -1 && row[index.plan]) {
+      const plan = parsePlan(row[index.plan].text);
+      if (!cash) cash = plan.cash;
+      if (!bonus) bonus = plan.bonus;
+    }
+    if (!cash && !bonus) return null;
+
+    const round = value => Number(value.toPrecision(12));
+    const event = { date: date.value, cash: round(cash), bonus: round(bonus) };
+    // The other dates and the 年度 label, for the dividend calendar
+    ['announced', 'record', 'paid'].forEach(key => {
+      const cell = index[key] === -1 ? null : row[index[key]];
+      if (cell && cell.type === 'date') event[key] = cell.value;
+    });
+    if (index.year !== -1 && row[index.year]) event.year = row[index.year].text;
+    return event;
+  }).filter(Boolean);
+}
+
+// Dividend events per stock from every dividend table in the notes (tables
+// exported by lib/tables). The stock is the table's title row, or the last
+// stock named in the paragraph or heading above it. Newer notes win when two
+// tables give the same ex-date. Each event keeps the note it came from.
+function extractDividendEvents(tableExports, stocks) {
+  const byStock = new Map();
+  const lastStock = text => {
+    const found = text ? stocks.find(text) : [];
+    return found.length ? found[found.length - 1] : null;
+  };
+
+  [...tableExports]
+    .sort((a, b) => b.file.mtime - a.file.mtime)
+    .forEach(({ file, tables }) => tables.forEach(table => {
+      const titled = unwrapTitledTable(table, stocks);
+      const stock = titled ? titled.stock : lastStock(table.intro) || lastStock(table.heading);
+      if (!stock) return;
+      const events = titled
+        ? tableEvents(titled.names, titled.rows)
+        : tableEvents(table.columns.map(column => column.name), table.rows);
+      if (events.length === 0) return;
+
+      if (!byStock.has(stock)) byStock.set(stock, new Map());
+      const dates = byStock.get(stock);
+      events.forEach(event => {
+        if (!dates.has(event.date)) dates.set(event.date, { ...event, file });
+      });
+    }));
+
+  return new Map([...byStock].map(([stock, dates]) => [stock, [...dates.values()].sort((a, b) => a.date.localeCompare(b.date))]));
+}
+
+// Wraps the CSV store so every consumer reads consistently adjusted prices.
+// load() returns the series in the requested mode (auto by default), raw()
+// the 除权 prices as traded; dividendsFor() merges data/dividends/ with the
+// note tables, the CSV's amounts winning on the same ex-date.
+function createAdjustedStore(store, stocks, noteEvents) {
+  const byPath = new Map(stocks.stocks.map(stock => [`${ohlcDir}/${stock.code || stock.name}.csv`, stock]));
+  const cache = new Map();
+
+  function dividendsFor(stock) {
+    const dates = new Map((noteEvents.get(stock) || []).map(event => [event.date, event]));
+    store.dividendsFor(stock).forEach(event => dates.set(event.date, { ...dates.get(event.date), ...event }));
+    return [...dates.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  function eventsAt(relPath) {
+    const stock = byPath.get(relPath);
+    return stock ? dividendsFor(stock) : [];
+  }
+
+  function load(relPath, mode = 'auto') {
+    const key = `${relPath}\n${mode}`;
+    if (!cache.has(key)) cache.set(key, adjustBars(store.load(relPath), eventsAt(relPath), mode));
+    return cache.get(key);
+  }
+
+  return {
+    pathFor: store.pathFor,
+    load,
+    raw: relPath => store.load(relPath),
+    dividendsFor,
+    modeFor: (relPath, mode = 'auto') => modeLabels[resolveMode(mode, eventsAt(relPath))]
+  };
+}
+
+// 250日 / 250周 / 30月 / 60月 average prices of the watchlist tables under
+// each adjustment, so the levels in the notes can be matched to the chart
+// setting they were read from
+const levels = [
+  { label: '250日价格', period: 'day', length: 250 },
+  { label: '250周价格', period: 'week', length: 250 },
+  { label: '30月价格', period: 'month', length: 30 },
+  { label: '60月价格', period: 'month', length: 60 }
+];
+
+function renderPriceLevels(store, stock) {
+  const relPath = store.pathFor(stock);
+  if (!relPath) return '';
+
+  let rows;
+  let events;
+  try {
+    events = store.dividendsFor(stock);
+    const current = store.modeFor(relPath);
+    rows = ['none', 'forward', 'backward'].map(mode => {
+      const bars = store.load(relPath, mode);
+      const cells = levels.map(({ period, length }) => {
+        const closes = resample(bars, period).map(bar => bar.close);
+        const value = sma(closes, length)[closes.length - 1];
+        return `<td>${value === null || value === undefined ? '-' : value.toFixed(2)}</td>`;
+      });
+      const last = bars[bars.length - 1];
+      return `
+          <tr${modeLabels[mode] === current ? ' class="is-current"' : ''}>
+            <th>${modeLabels[mode]}${modeLabels[mode] === current ? ' (默认)' : ''}</th>
+            <td>${last ? last.close : '-'}</td>
+            ${cells.join('')}
+          </tr>`;
+    }).join('');
+  } catch (error) {
+    if (!(error instanceof OhlcError)) throw error;
+    return `<p class="chart-error">${escapeHtml(error.message)}</p>`;
+  }
+
+  return `
+      <section class="stock-history">
+        <h2 class="tag-note-title">均线价格</h2>
+        <p class="tag-context-meta">${escapeHtml(relPath)} · ${events.length} 次分红送转${events.length ? `，最近 ${events[events.length - 1].date}` : ''}</p>
+        <div class="calculator-grid-wrap">
+        <table class="calculator-grid price-levels">
+          <thead><tr><th>复权</th><th>收盘</th>${levels.map(({ label }) => `<th>${label}</th>`).join('')}</tr></thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+        </div>
+      </section>`;
+}
+
+module.exports = {
+  modeLabels,
+  resolveMode,
+  exFactors,
+  adjustBars,
+  extractDividendEvents,
+  createAdjustedStore,
+  renderPriceLevels
+};
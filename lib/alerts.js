@@ -0,0 +1,334 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+const { OhlcError } = require('./ohlc');
+const { dateKey } = require('./journal');
+const { stockFileName } = require('./stocks');
+const { toCsv } = require('./tables');
+
+// Price alerts (设置提醒21.98) and conditional orders (55.37条件单,
+// 条件单38.3买, 设置6.96条件单800股) written in the 当前操作 column of the
+// daily notes. Only the newest note's row per stock counts: an instruction
+// there is active, anything else written there ("无", "已取消", a comment)
+// cancels the older one. The active ones are also exported as alerts.csv to
+// re-create in the broker app.
+
+const nameColumn = /^(股票名称|股票|名称)$/;
+const actionColumn = /^当前操作$/;
+// The price column is headed by the snapshot's MMDD (0303, 0310 …)
+const priceColumn = /^(\d{4}|现价|股价|当前价)$/;
+
+const numberPattern = /\d+(?:\.\d+)?/g;
+const keywordPattern = /提醒|条件单/g;
+const levelPattern = /[日周月][上中下]|[日周月](?:20|30|60|250)/;
+const sharesPattern = /(\d+)股/;
+// Lines next to "已设置提醒" that say which price the alert is for
+const targetLine = /再看|再买|买|卖|参与/;
+
+// A snapshot's MMDD (0305) or a full date (20260305)
+function isDateNumber(text) {
+  const mmdd = /^(\d{2})(\d{2})$/.exec(text);
+  if (mmdd) return Number(mmdd[1]) >= 1 && Number(mmdd[1]) <= 12 && Number(mmdd[2]) >= 1 && Number(mmdd[2]) <= 31;
+  return /^20\d{6}$/.test(text);
+}
+
+// 2026年, 3月, 5日 — but 54.23月30 is a price before a level
+function isDatePart(number, unit) {
+  if (!/^\d+$/.test(number)) return false;
+  if (unit === '年') return true;
+  if (unit === '月') return Number(number) >= 1 && Number(number) <= 12;
+  return /[日号]/.test(unit) && Number(number) >= 1 && Number(number) <= 31;
+}
+
+// The prices in a line with their position: not the 30 of 月30, the 800 of
+// 800股, nor the parts of a date (3月5日, 10日, 0305, 2026-03-05)
+function findPrices(text) {
+  const masked = text.replace(/\d{4}-\d{1,2}-\d{1,2}/g, date => ' '.repeat(date.length));
+  return [...masked.matchAll(numberPattern)]
+    .filter(match => {
+      const before = masked[match.index - 1] || '';
+      const after = masked[match.index + match[0].length] || '';
+      return !/[日周月]/.test(before) && after !== '股' && !isDatePart(match[0], after) && !isDateNumber(match[0]);
+    })
+    .map(match => ({ value: Number(match[0]), text: match[0], index: match.index }));
+}
+
+// The price of a line: the one closest to 提醒/条件单 when there are several
+function parsePrice(text) {
+  const prices = findPrices(text);
+  const keywords = [...text.matchAll(keywordPattern)];
+  if (prices.length < 2 || keywords.length === 0) return prices[0] || null;
+
+  const gap = price => Math.min(...keywords.map(keyword => {
+    if (price.index >= keyword.index) return price.index - (keyword.index + keyword[0].length);
+    return keyword.index - (price.index + price.text.length);
+  }));
+  return prices.reduce((best, price) => (gap(price) < gap(best) ? price : best));
+}
+
+function parseSide(text) {
+  if (/卖/.test(text)) return '卖';
+  if (/买/.test(text)) return '买';
+  return '';
+}
+
+function explicitTrigger(text) {
+  if (/小于|低于|跌破|跌到/.test(text)) return '≤';
+  if (/大于|高于|突破|涨到/.test(text)) return '≥';
+  return '';
+}
+
+// One 当前操作 cell → the instruction it holds, or null. A line without a
+// price ("已设置提醒", "已设置条件单") takes it from the line naming the
+// target (月中73再看, 24.81买), or from the cell's only priced line.
+function parseInstruction(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const index = lines.findIndex(line => /提醒|条件单/.test(line));
+  if (index === -1) return null;
+
+  const line = lines[index];
+  let source = line;
+  if (!parsePrice(line)) {
+    const others = lines.filter((other, i) => i !== index && parsePrice(other));
+    source = others.find(other => targetLine.test(other)) || (others.length === 1 ? others[0] : line);
+  }
+
+  const price = parsePrice(source);
+  const rest = price ? source.slice(0, price.index) + source.slice(price.index + price.text.length) : source;
+  const level = levelPattern.exec(rest);
+  const shares = sharesPattern.exec(line);
+  return {
+    kind: /条件单/.test(line) ? '条件单' : '提醒',
+    price: price ? price.value : null,
+    priceText: price ? price.text : '',
+    side: parseSide(line) || parseSide(source),
+    trigger: explicitTrigger(line),
+    level: level ? level[0] : '',
+    shares: shares ? Number(shares[1]) : null,
+    text: lines.join(' / ')
+  };
+}
+
+// Broker alerts need a direction. When the note does not write one it is
+// guessed from the price in the note's row, else 买 below and 卖 above; the
+// guess is kept apart from written directions so it is never taken for one.
+function guessTrigger(instruction, notedPrice) {
+  if (instruction.trigger || instruction.price === null) return '';
+  if (notedPrice !== null) return instruction.price <= notedPrice ? '≤' : '≥';
+  if (instruction.side === '买') return '≤';
+  if (instruction.side === '卖') return '≥';
+  return '';
+}
+
+// The 当前操作 rows per stock from the dated notes' tables. Returns
+// [{ stock, active, stale, superseded, close }]: active is the newest row's
+// instruction, or null with stale { instruction, cancel } when a newer row
+// without one cancelled it; superseded are older instructions, newest first.
+// Empty cells are rows not filled in that day and change nothing.
+function buildAlerts(tableExports, stocks, store, { onWarning = () => {} } = {}) {
+  const byStock = new Map();
+
+  tableExports
+    .filter(({ file }) => file.noteDate && file.noteDate.day !== null)
+    .sort((a, b) => dateKey(a.file.noteDate).localeCompare(dateKey(b.file.noteDate)))
+    .forEach(({ file, tables }) => {
+      const date = dateKey(file.noteDate);
+
+      tables.forEach(table => {
+        const nameIndex = table.columns.findIndex(column => nameColumn.test(column.name));
+        const actionIndex = table.columns.findIndex(column => actionColumn.test(column.name));
+        if (nameIndex === -1 || actionIndex === -1) return;
+        const priceIndex = table.columns.findIndex(column => priceColumn.test(column.name));
+
+        table.rows.forEach(row => {
+          const name = row[nameIndex] ? row[nameIndex].text.split('\n')[0] : '';
+          const stock = stocks.lookup(name) || stocks.find(name)[0];
+          const cell = row[actionIndex];
+          if (!stock || !cell || cell.type === 'empty') return;
+
+          if (!byStock.has(stock)) byStock.set(stock, new Map());
+          // A stock listed in two tables of one note keeps the first row
+          const dates = byStock.get(stock);
+          if (dates.has(date)) return;
+
+          const instruction = parseInstruction(cell.text);
+          if (!instruction) {
+            dates.set(date, { kind: null, text: cell.text.replace(/\n/g, ' / '), date, file });
+            return;
+          }
+          const priceCell = priceIndex === -1 ? null : row[priceIndex];
+          const notedPrice = priceCell && priceCell.type === 'number' ? priceCell.value : null;
+          dates.set(date, { ...instruction, guess: guessTrigger(instruction, notedPrice), notedPrice, date, file });
+        });
+      });
+    });
+
+  const alerts = [];
+  byStock.forEach((dates, stock) => {
+    const rows = [...dates.values()];
+    const instructions = rows.filter(row => row.kind).reverse();
+    if (instructions.length === 0) return;
+
+    const latest = rows[rows.length - 1];
+    alerts.push({
+      stock,
+      active: latest.kind ? latest : null,
+      stale: latest.kind ? null : { instruction: instructions[0], cancel: latest },
+      superseded: instructions.slice(1),
+      close: latest.kind ? latestClose(stock, store, onWarning) : null
+    });
+  });
+  const newest = alert => (alert.active || alert.stale.cancel).date;
+  return alerts.sort((a, b) => newest(b).localeCompare(newest(a)) || a.stock.name.localeCompare(b.stock.name, 'zh-CN'));
+}
+
+function latestClose(stock, store, onWarning) {
+  const relPath = store.pathFor(stock);
+  if (!relPath) return null;
+  try {
+    const bars = store.raw(relPath);
+    return bars.length ? bars[bars.length - 1] : null;
+  } catch (error) {
+    if (!(error instanceof OhlcError)) throw error;
+    onWarning(error.message);
+    return null;
+  }
+}
+
+// Distance from the latest close to the alert price, in percent of the close
+function distance(alert) {
+  if (!alert.close || alert.active.price === null) return null;
+  return (alert.active.price / alert.close.close - 1) * 100;
+}
+
+function noteLink(instruction) {
+  return `<a href="${encodeURIComponent(instruction.file.outputName)}.html">${escapeHtml(instruction.file.title)}</a>`;
+}
+
+// 触发条件 holds only directions written in the note; guessed ones go to
+// their own column to be checked before use
+function alertsCsv(alerts) {
+  return toCsv([
+    ['股票名称', '代码', '类型', '买卖', '触发条件', '推断触发条件', '价格', '股数', '位置', '日期', '笔记', '原文'],
+    ...alerts
+      .filter(({ active }) => active && active.price !== null)
+      .map(({ stock, active }) => [
+        stock.name,
+        stock.code || '',
+        active.kind,
+        active.side,
+        active.trigger,
+        active.guess,
+        active.priceText,
+        active.shares || '',
+        active.level,
+        active.date,
+        active.file.title,
+        active.text
+      ])
+  ]);
+}
+
+// The direction and price, a guessed direction marked as such
+function renderTrigger(instruction) {
+  if (instruction.price === null) return '<span class="tag-count">未写价格</span>';
+  if (instruction.trigger || !instruction.guess) return `${instruction.trigger} ${instruction.priceText}`.trim();
+  return `<span class="alert-guess" title="笔记没有写方向，按当天价格推断">${instruction.guess}?</span> ${instruction.priceText} <span class="tag-count">推断</span>`;
+}
+
+function generateAlertsPage(alerts) {
+  if (alerts.length === 0) {
+    return generatePage({
+      title: '提醒与条件单',
+      subtitle: '当前操作列中的价格提醒和条件单',
+      body: '<p class="empty-state">笔记的当前操作列中还没有提醒或条件单</p>'
+    });
+  }
+
+  const current = alerts.filter(alert => alert.active);
+  const active = current.length
+    ? `<div class="calculator-grid-wrap">
+        <table class="calculator-grid screen-table alerts-table">
+          <thead><tr><th>股票名称</th><th>类型</th><th>买卖</th><th>触发价</th><th>股数</th><th>位置</th><th>最新收盘</th><th>距离</th><th>日期</th><th>笔记</th><th>原文</th></tr></thead>
+          <tbody>${current.map(alert => {
+    const { stock, active: instruction, close } = alert;
+    const away = distance(alert);
+    return `
+            <tr>
+              <td><a href="stocks/${encodeURIComponent(stockFileName(stock))}">${escapeHtml(stock.name)}</a></td>
+              <td>${instruction.kind}</td>
+              <td>${instruction.side || '-'}</td>
+              <td class="alert-price">${renderTrigger(instruction)}</td>
+              <td>${instruction.shares || '-'}</td>
+              <td>${escapeHtml(instruction.level) || '-'}</td>
+              <td>${close ? `${close.close} <span class="tag-count">${close.date}</span>` : '-'}</td>
+              <td>${away === null ? '-' : `${away > 0 ? '+' : ''}${away.toFixed(2)}%`}</td>
+              <td>${instruction.date}</td>
+              <td>${noteLink(instruction)}</td>
+              <td class="alert-text">${escapeHtml(instruction.text)}</td>
+            </tr>`;
+  }).join('')}
+          </tbody>
+        </table>
+      </div>`
+    : '<p class="empty-state">最新的笔记中没有仍然有效的提醒或条件单</p>';
+
+  const stale = alerts.filter(alert => alert.stale);
+  const cancelled = stale.length
+    ? `<div class="calculator-grid-wrap">
+        <table class="calculator-grid screen-table alerts-table">
+          <thead><tr><th>股票名称</th><th>原指令</th><th>设置日期</th><th>之后的当前操作</th><th>日期</th><th>笔记</th></tr></thead>
+          <tbody>${stale.map(({ stock, stale: { instruction, cancel } }) => `
+            <tr>
+              <td><a href="stocks/${encodeURIComponent(stockFileName(stock))}">${escapeHtml(stock.name)}</a></td>
+              <td class="alert-text">${instruction.kind} ${instruction.priceText || ''} · ${escapeHtml(instruction.text)}</td>
+              <td>${noteLink(instruction)}</td>
+              <td class="alert-text">${escapeHtml(cancel.text)}</td>
+              <td>${cancel.date}</td>
+              <td>${noteLink(cancel)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`
+    : '<p class="empty-state">没有被之后的笔记取消的指令</p>';
+
+  const older = alerts
+    .flatMap(({ stock, superseded }) => superseded.map(instruction => ({ stock, instruction })))
+    .sort((a, b) => b.instruction.date.localeCompare(a.instruction.date));
+  const history = older.length
+    ? `<div class="calculator-grid-wrap">
+        <table class="calculator-grid screen-table alerts-table">
+          <thead><tr><th>日期</th><th>股票名称</th><th>类型</th><th>价格</th><th>笔记</th><th>原文</th></tr></thead>
+          <tbody>${older.map(({ stock, instruction }) => `
+            <tr>
+              <td>${instruction.date}</td>
+              <td>${escapeHtml(stock.name)}</td>
+              <td>${instruction.kind}</td>
+              <td>${instruction.priceText || '-'}</td>
+              <td>${noteLink(instruction)}</td>
+              <td class="alert-text">${escapeHtml(instruction.text)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`
+    : '<p class="empty-state">没有被替代的旧指令</p>';
+
+  const orders = current.filter(({ active }) => active.kind === '条件单').length;
+
+  return generatePage({
+    title: '提醒与条件单',
+    subtitle: `${current.length} 只股票的当前指令，其中 ${orders} 个条件单，以最新一篇笔记为准；带“推断”的方向是笔记里没写的 · <a href="alerts.csv" download>下载 alerts.csv</a> 在券商 App 中重新设置`,
+    body: `<h2 class="calculator-heading">当前有效</h2>
+      ${active}
+      <h2 class="calculator-heading">已取消 (${stale.length})</h2>
+      ${cancelled}
+      <h2 class="calculator-heading">已被替代 (${older.length})</h2>
+      ${history}`
+  });
+}
+
+module.exports = {
+  parseInstruction,
+  buildAlerts,
+  alertsCsv,
+  generateAlertsPage
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File types a note may reference that must be published alongside the pages
+const attachmentExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.pdf'];
+
+const assetsDirName = 'assets';
+
+function isAttachment(file) {
+  return attachmentExtensions.includes(path.extname(file).toLowerCase());
+}
+
+// References that point outside the vault are left untouched
+function isExternal(href) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/\/|#|\/)/i.test(href);
+}
+
+function safeDecode(href) {
+  try {
+    return decodeURI(href);
+  } catch (err) {
+    return href;
+  }
+}
+
+// Collects the attachments notes actually reference, wherever they sit in the
+// vault, and publishes them under dist/assets with a content-hashed name so
+// the URL only changes when the file does.
+function createAssetPipeline({ rootDir, distDir, vault }) {
+  const published = new Map();
+
+  // Vault-relative path -> URL relative to the dist root
+  function url(relPath) {
+    trackers.forEach(used => used.add(relPath));
+    if (!published.has(relPath)) {
+      const contents = fs.readFileSync(path.join(rootDir, relPath));
+      const hash = crypto.createHash('md5').update(contents).digest('hex').slice(0, 8);
+      const ext = path.extname(relPath);
+      const outputName = `${path.posix.basename(relPath, ext)}.${hash}${ext.toLowerCase()}`;
+      published.set(relPath, outputName);
+    }
+
+    return `${assetsDirName}/${encodeURIComponent(published.get(relPath))}`;
+  }
+
+  // Resolve a markdown/HTML reference relative to the note first, then by
+  // file name anywhere in the vault, the way Obsidian does
+  function resolve(href, fromFolder) {
+    if (!href || isExternal(href)) return null;
+
+    const target = safeDecode(href.split(/[?#]/)[0]);
+    if (!isAttachment(target)) return null;
+
+    const relative = path.posix.normalize(path.posix.join(fromFolder.replace(/\\/g, '/'), target));
+    if (!relative.startsWith('..') && vault.files.includes(relative)) return relative;
+
+    return vault.resolve(target);
+  }
+
+  // marked walkTokens hook rewriting image/link/raw-HTML references of one note
+  function createWalker(file, onMissing = () => {}) {
+    const rewrite = href => {
+      const resolved = resolve(href, file.folder);
+      if (resolved) return url(resolved);
+
+      if (href && !isExternal(href) && isAttachment(safeDecode(href.split(/[?#]/)[0]))) {
+        onMissing(safeDecode(href));
+      }
+      return null;
+    };
+
+    return token => {
+      if (token.type === 'image' || token.type === 'link') {
+        const rewritten = rewrite(token.href);
+        if (rewritten) token.href = rewritten;
+      } else if (token.type === 'html') {
+        token.text = token.text.replace(/\b(src|href)=(["'])([^"']+)\2/gi, (match, attr, quote, href) => {
+          const rewritten = rewrite(href);
+          return rewritten ? `${attr}=${quote}${rewritten}${quote}` : match;
+        });
+      }
+    };
+  }
+
+  // Run fn, returning its result and the attachments it published, so a
+  // cached render can publish them again without re-rendering
+  const trackers = [];
+  function track(fn) {
+    const used = new Set();
+    trackers.push(used);
+    try {
+      return { result: fn(), used: [...used] };
+    } finally {
+      trackers.pop();
+    }
+  }
+
+  // Copy every referenced attachment into dist/assets. Names carry the
+  // content hash, so a file already there is already up to date.
+  function copy() {
+    const assetsDir = path.join(distDir, assetsDirName);
+    fs.mkdirSync(assetsDir, { recursive: true });
+
+    const copied = [];
+    const files = [];
+    for (const [relPath, outputName] of published) {
+      const target = path.join(assetsDir, outputName);
+      files.push(`${assetsDirName}/${outputName}`);
+      if (fs.existsSync(target)) continue;
+      fs.copyFileSync(path.join(rootDir, relPath), target);
+      copied.push(`${assetsDirName}/${outputName}`);
+    }
+
+    return { total: published.size, copied, files };
+  }
+
+  return { url, resolve, createWalker, track, copy };
+}
+
+module.exports = { createAssetPipeline, isAttachment, attachmentExtensions };
@@ -0,0 +1,432 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+const { OhlcError, periodKey, resample } = require('./ohlc');
+const { sma, ema } = require('./indicators');
+const { lineAt, trendOver } = require('./boll-state');
+
+// Backtests of the trading rules in data/rules.yml over data/ohlc/ and
+// data/dividends/. A rule buys at the close of the first day all its entry
+// conditions hold and sells at the close of the first day all its exit
+// conditions hold. Conditions use the words of the notes:
+//
+//   周下, 日中, 月上          at the BOLL(20, 2) line of that period
+//   上升趋势, 横盘趋势, 下降趋势  weekly BOLL middle band over the last year
+//   周20⬆️周30, 月30⬇️月60     the first line above / below the second
+//   三线⬆️, 日三线⬇️           20/30/60 lines all rising / falling (周 by default)
+//   月MACD水下金叉, 周MACD死叉   DIF above / below DEA, 水上/水下 for both lines vs 0
+//   股息率>=5%, 月30股息率>=5%  trailing 12-month dividends over the close or a moving average
+//
+// Weekly and monthly values are taken as of each day (the current week so far
+// counts as the last bar), so a rule never sees prices after its trade.
+// Indicators read the adjusted series (lib/adjust); trades, dividends and
+// 股息率 use the 除权 prices that were actually traded.
+
+class RuleError extends Error {}
+
+const periodOf = { 日: 'day', 周: 'week', 月: 'month' };
+const trendWords = { 上升: '上升', 横盘: '横', 横: '横', 下降: '下降' };
+const compare = {
+  '>=': (a, b) => a >= b,
+  '≥': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '≤': (a, b) => a <= b,
+  '<': (a, b) => a < b
+};
+const maLengths = [20, 30, 60];
+// Defaults follow the trade-cost calculator: ¥5 a trade and nothing else
+const defaults = { capital: 100000, fee: 5, commission: 0, stampDuty: 0 };
+
+function parseCondition(text) {
+  const source = String(text).trim();
+  let match;
+
+  if ((match = /^([日周月])([上中下])$/.exec(source))) {
+    const [, prefix, line] = match;
+    return { source, test: (views, i) => views[periodOf[prefix]].line(i) === line };
+  }
+  if ((match = /^(上升|横盘|横|下降)趋势$/.exec(source))) {
+    const trend = trendWords[match[1]];
+    return { source, test: (views, i) => views.week.trend(i) === trend };
+  }
+  if ((match = /^([日周月])?三线(⬆️|⬇️)$/.exec(source))) {
+    const period = periodOf[match[1] || '周'];
+    const sign = match[2] === '⬆️' ? 1 : -1;
+    return { source, test: (views, i) => views[period].direction(i) === sign };
+  }
+  if ((match = /^([日周月])(\d+)(⬆️|⬇️)([日周月])(\d+)$/.exec(source)) && match[1] === match[4]) {
+    const [, prefix, fast, arrow, , slow] = match;
+    const sign = arrow === '⬆️' ? 1 : -1;
+    return {
+      source,
+      test: (views, i) => {
+        const view = views[periodOf[prefix]];
+        const a = view.ma(i, Number(fast));
+        const b = view.ma(i, Number(slow));
+        return a !== null && b !== null && Math.sign(a - b) === sign;
+      }
+    };
+  }
+  if ((match = /^([日周月])MACD(水上|水下)?(金叉|死叉)$/i.exec(source))) {
+    const [, prefix, water, cross] = match;
+    return {
+      source,
+      test: (views, i) => {
+        const { dif, dea } = views[periodOf[prefix]].macd(i);
+        if (water === '水上' && !(dif > 0 && dea > 0)) return false;
+        if (water === '水下' && !(dif < 0 && dea < 0)) return false;
+        return cross === '金叉' ? dif > dea : dif < dea;
+      }
+    };
+  }
+  if ((match = /^(?:([日周月])(\d+))?股息率\s*(>=|≥|>|<=|≤|<)\s*([\d.]+)%$/.exec(source))) {
+    const [, prefix, length, operator, percent] = match;
+    return {
+      source,
+      usesDividends: true,
+      test: (views, i) => {
+        const price = prefix ? views[periodOf[prefix]].ma(i, Number(length)) : views.price(i);
+        return price !== null && compare[operator](views.trailingDividend(i) / price, Number(percent) / 100);
+      }
+    };
+  }
+  throw new RuleError(`无法识别的条件 "${source}"`);
+}
+
+function parseConditions(value, field, name) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,，、]/);
+  const conditions = list.map(item => String(item).trim()).filter(Boolean).map(item => {
+    try {
+      return parseCondition(item);
+    } catch (error) {
+      if (error instanceof RuleError) error.message = `规则 ${name}: ${error.message}`;
+      throw error;
+    }
+  });
+  if (conditions.length === 0) throw new RuleError(`规则 ${name} 没有 ${field} 条件`);
+  return conditions;
+}
+
+// Rules from data/rules.yml; problems go to onWarning and skip the rule
+function loadRules(file, { onWarning = () => {} } = {}) {
+  if (!fs.existsSync(file)) return [];
+
+  let data;
+  try {
+    data = yaml.safeLoad(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    onWarning(`规则文件无法解析: ${err.reason || err.message}`);
+    return [];
+  }
+
+  const rules = [];
+  (Array.isArray(data) ? data : []).forEach((entry, i) => {
+    const name = entry && entry.name ? String(entry.name) : `第 ${i + 1} 条`;
+    try {
+      if (!entry || !entry.name) throw new RuleError(`规则 ${name} 没有 name`);
+      const options = {};
+      Object.keys(defaults).forEach(key => {
+        options[key] = entry[key] === undefined ? defaults[key] : Number(entry[key]);
+        if (!Number.isFinite(options[key])) throw new RuleError(`规则 ${name} 的 ${key} 不是数字`);
+      });
+      rules.push({
+        name,
+        note: entry.note ? String(entry.note) : null,
+        description: entry.description ? String(entry.description) : '',
+        stocks: entry.stocks ? [].concat(entry.stocks).map(String) : null,
+        entry: parseConditions(entry.entry, 'entry', name),
+        exit: parseConditions(entry.exit, 'exit', name),
+        ...options
+      });
+    } catch (error) {
+      if (!(error instanceof RuleError)) throw error;
+      onWarning(error.message);
+    }
+  });
+  return rules;
+}
+
+// Indicators of one period as of each trading day. Finished periods use
+// their final close; the period containing day i ends at day i's close.
+function createPeriodView(bars, period) {
+  const finals = resample(bars, period).map(bar => bar.close);
+  const index = [];
+  let k = -1;
+  let key = null;
+  bars.forEach(bar => {
+    const next = periodKey(bar.date, period);
+    if (next !== key) {
+      key = next;
+      k++;
+    }
+    index.push(k);
+  });
+
+  const averages = new Map(maLengths.map(length => [length, sma(finals, length)]));
+  const fast = ema(finals, 12);
+  const slow = ema(finals, 26);
+  const dea = ema(finals.map((close, j) => fast[j] - slow[j]), 9);
+  const mids = sma(finals, 20);
+
+  // The last `length` closes as of day i, or null with too little history
+  function window(i, length) {
+    const end = index[i];
+    if (end + 1 < length) return null;
+    return finals.slice(end - length + 1, end).concat(bars[i].close);
+  }
+
+  function ma(i, length) {
+    const values = window(i, length);
+    return values && values.reduce((sum, value) => sum + value, 0) / length;
+  }
+
+  function band(i) {
+    const values = window(i, 20);
+    if (!values) return null;
+    const mid = values.reduce((sum, value) => sum + value, 0) / 20;
+    const deviation = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mid, 2), 0) / 20);
+    return { upper: mid + 2 * deviation, mid, lower: mid - 2 * deviation };
+  }
+
+  return {
+    ma,
+    line(i) {
+      const current = band(i);
+      return current && lineAt(bars[i], current);
+    },
+    trend(i) {
+      const current = band(i);
+      return current && trendOver(mids.slice(0, index[i]).concat(current.mid), index[i], 52);
+    },
+    // 1 / -1 when the 20/30/60 lines all rose / fell against the last finished period
+    direction(i) {
+      const k = index[i];
+      if (k === 0) return 0;
+      const moves = maLengths.map(length => {
+        const now = ma(i, length);
+        const before = averages.get(length)[k - 1];
+        return now === null || before === null ? 0 : Math.sign(now - before);
+      });
+      if (moves.every(move => move === 1)) return 1;
+      if (moves.every(move => move === -1)) return -1;
+      return 0;
+    },
+    macd(i) {
+      const k = index[i];
+      const close = bars[i].close;
+      if (k === 0) return { dif: 0, dea: 0 };
+      const dif = (2 * close + 11 * fast[k - 1]) / 13 - (2 * close + 25 * slow[k - 1]) / 27;
+      return { dif, dea: (2 * dif + 8 * dea[k - 1]) / 10 };
+    }
+  };
+}
+
+function createViews(bars, prices, dividends) {
+  const views = {
+    price: i => prices[i].close,
+    day: createPeriodView(bars, 'day'),
+    week: createPeriodView(bars, 'week'),
+    month: createPeriodView(bars, 'month')
+  };
+
+  // Cash dividends per share with an ex-date in the year up to day i
+  views.trailingDividend = i => {
+    const end = prices[i].date;
+    const start = `${Number(end.slice(0, 4)) - 1}${end.slice(4)}`;
+    return dividends
+      .filter(dividend => dividend.date > start && dividend.date <= end)
+      .reduce((sum, dividend) => sum + dividend.cash, 0);
+  };
+  return views;
+}
+
+function tradeFee(amount, rule, selling) {
+  return rule.fee + amount * rule.commission / 100 + (selling ? amount * rule.stampDuty / 100 : 0);
+}
+
+// Runs one rule over one stock. Buys whole lots of 100 with all the cash,
+// collects cash dividends and 送转 shares while holding, and marks the
+// position to the close every day. An open position is valued at the last
+// close. `prices` are the traded 除权 bars when `bars` are adjusted.
+function runBacktest(bars, dividends, rule, { alwaysHold = false, prices = bars } = {}) {
+  const views = createViews(bars, prices, dividends);
+  const byDate = new Map(dividends.map(dividend => [dividend.date, dividend]));
+  const trades = [];
+  const equity = [];
+  let cash = rule.capital;
+  let shares = 0;
+  let trade = null;
+
+  prices.forEach((bar, i) => {
+    const dividend = byDate.get(bar.date);
+    if (trade && dividend) {
+      cash += shares * dividend.cash;
+      trade.dividends += shares * dividend.cash;
+      shares += Math.floor(shares * dividend.bonus);
+    }
+
+    if (!trade && (alwaysHold || rule.entry.every(condition => condition.test(views, i)))) {
+      const lots = Math.floor((cash - rule.fee) / (bar.close * 100 * (1 + rule.commission / 100)));
+      if (lots > 0) {
+        shares = lots * 100;
+        const cost = shares * bar.close + tradeFee(shares * bar.close, rule, false);
+        cash -= cost;
+        trade = { entryDate: bar.date, entryPrice: bar.close, shares, cost, dividends: 0 };
+      }
+    } else if (trade && !alwaysHold && rule.exit.every(condition => condition.test(views, i))) {
+      const proceeds = shares * bar.close - tradeFee(shares * bar.close, rule, true);
+      cash += proceeds;
+      trades.push({ ...trade, exitDate: bar.date, exitPrice: bar.close, soldShares: shares, profit: proceeds + trade.dividends - trade.cost });
+      trade = null;
+      shares = 0;
+    }
+
+    equity.push(cash + shares * bar.close);
+  });
+
+  if (trade) {
+    const last = prices[prices.length - 1];
+    const value = shares * last.close - tradeFee(shares * last.close, rule, true);
+    trades.push({ ...trade, exitDate: null, exitPrice: last.close, soldShares: shares, profit: value + trade.dividends - trade.cost });
+  }
+
+  let peak = -Infinity;
+  const drawdown = equity.reduce((worst, value) => {
+    peak = Math.max(peak, value);
+    return Math.max(worst, 1 - value / peak);
+  }, 0);
+
+  const final = equity.length ? equity[equity.length - 1] : rule.capital;
+  const closed = trades.filter(item => item.exitDate);
+  return {
+    trades,
+    wins: closed.filter(item => item.profit > 0).length,
+    closed: closed.length,
+    drawdown,
+    return: final / rule.capital - 1
+  };
+}
+
+function runRules(rules, stocks, store, { onWarning = () => {} } = {}) {
+  return rules.map(rule => {
+    const selected = rule.stocks
+      ? rule.stocks.map(name => {
+        const stock = stocks.lookup(name);
+        if (!stock) onWarning(`规则 ${rule.name} 中的 ${name} 不在股票词典里`);
+        return stock;
+      }).filter(Boolean)
+      : stocks.stocks;
+
+    const results = [];
+    selected.forEach(stock => {
+      const relPath = store.pathFor(stock);
+      if (!relPath) return;
+      try {
+        const bars = store.load(relPath);
+        if (bars.length === 0) return;
+        const prices = store.raw(relPath);
+        const dividends = store.dividendsFor(stock);
+        results.push({
+          stock,
+          from: bars[0].date,
+          to: bars[bars.length - 1].date,
+          adjustment: store.modeFor(relPath),
+          missingDividends: dividends.length === 0,
+          strategy: runBacktest(bars, dividends, rule, { prices }),
+          hold: runBacktest(bars, dividends, rule, { alwaysHold: true, prices })
+        });
+      } catch (error) {
+        if (!(error instanceof OhlcError)) throw error;
+        onWarning(error.message);
+      }
+    });
+    return { rule, results };
+  });
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function signed(value, text) {
+  return `<span class="${value < 0 ? 'is-loss' : 'is-gain'}">${text}</span>`;
+}
+
+function renderTrades(trades) {
+  const rows = trades.map(trade => `
+            <tr>
+              <td>${trade.entryDate}</td>
+              <td>${trade.entryPrice}</td>
+              <td>${trade.exitDate || '持有中'}</td>
+              <td>${trade.exitPrice}</td>
+              <td>${trade.shares}${trade.soldShares !== trade.shares ? ` → ${trade.soldShares}` : ''}</td>
+              <td>${trade.dividends.toFixed(2)}</td>
+              <td>${signed(trade.profit, trade.profit.toFixed(2))}</td>
+              <td>${signed(trade.profit, percent(trade.profit / trade.cost))}</td>
+            </tr>`).join('');
+
+  return `<table class="calculator-grid">
+            <thead><tr><th>买入日</th><th>买入价</th><th>卖出日</th><th>卖出价</th><th>股数</th><th>分红</th><th>收益</th><th>收益率</th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+          </table>`;
+}
+
+// `resolveNote` maps a rule's note name to its entry, or null
+function generateBacktestPage(runs, resolveNote) {
+  const sections = runs.map(({ rule, results }) => {
+    const note = rule.note && resolveNote(rule.note);
+    const conditions = list => list.map(condition => `<code>${escapeHtml(condition.source)}</code>`).join(' + ');
+
+    const rows = results.map(({ stock, from, to, adjustment, missingDividends, strategy, hold }) => `
+          <tr>
+            <td>${escapeHtml(stock.name)}${missingDividends && rule.entry.concat(rule.exit).some(condition => condition.usesDividends) ? ' <span class="tag-count" title="缺少分红文件，股息率条件不会成立">无分红数据</span>' : ''}</td>
+            <td>${from} ~ ${to} <span class="tag-count">${adjustment}</span></td>
+            <td>${strategy.trades.length}</td>
+            <td>${strategy.closed ? percent(strategy.wins / strategy.closed) : '-'}</td>
+            <td>${percent(strategy.drawdown)}</td>
+            <td>${signed(strategy.return, percent(strategy.return))}</td>
+            <td>${signed(hold.return, percent(hold.return))}</td>
+            <td>${percent(hold.drawdown)}</td>
+          </tr>`).join('');
+
+    const details = results.filter(({ strategy }) => strategy.trades.length).map(({ stock, strategy }) => `
+        <details class="backtest-trades">
+          <summary>${escapeHtml(stock.name)} · ${strategy.trades.length} 笔交易</summary>
+          <div class="calculator-grid-wrap">
+          ${renderTrades(strategy.trades)}
+          </div>
+        </details>`).join('');
+
+    return `
+      <section class="tag-note">
+        <h2 class="tag-note-title">${escapeHtml(rule.name)}</h2>
+        <p class="tag-context-meta">买入: ${conditions(rule.entry)} · 卖出: ${conditions(rule.exit)} · 本金 ${rule.capital} 元，每笔手续费 ${rule.fee} 元${rule.commission ? ` + ${rule.commission}%` : ''}${rule.stampDuty ? `，卖出印花税 ${rule.stampDuty}%` : ''}${note ? ` · 出处 <a href="${encodeURIComponent(note.outputName)}.html">${escapeHtml(note.title)}</a>` : ''}</p>
+        ${rule.description ? `<p>${escapeHtml(rule.description)}</p>` : ''}
+        ${results.length ? `<div class="calculator-grid-wrap">
+        <table class="calculator-grid screen-table">
+          <thead><tr><th>股票</th><th>区间</th><th>交易次数</th><th>胜率</th><th>最大回撤</th><th>策略收益</th><th>持有不动收益</th><th>持有不动回撤</th></tr></thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+        </div>${details}` : '<p class="empty-state">没有可用的行情文件</p>'}
+      </section>`;
+  }).join('\n');
+
+  return generatePage({
+    title: '规则回测',
+    subtitle: `${runs.length} 条规则 (data/rules.yml) 在 data/ohlc/ 行情上的回测，按收盘价成交，分红计入收益`,
+    body: runs.length ? sections : '<p class="empty-state">data/rules.yml 中还没有规则</p>'
+  });
+}
+
+module.exports = {
+  RuleError,
+  parseCondition,
+  loadRules,
+  runBacktest,
+  runRules,
+  generateBacktestPage
+};
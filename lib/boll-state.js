@@ -0,0 +1,247 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+const { OhlcError, resample } = require('./ohlc');
+const { boll } = require('./indicators');
+const { dateKey } = require('./journal');
+const { stockFileName } = require('./stocks');
+
+// Weekly BOLL(20, 2) state in the vocabulary of the 周K分析 tables:
+//   上升趋势，周中<->周上。横盘趋势，周下<->周中<->周上。下降趋势，周下<->周中。
+// computed from data/ohlc/<code>.csv so the hand-filled columns BOLL趋势,
+// 近一年的总体BOLL状态 and 当前BOLL状态 can be checked against the prices.
+
+const lines = ['下', '中', '上'];
+// A close within 15% of the band width of a line counts as being at it
+const nearLine = 0.15;
+// Change of the middle band that counts as 上升/下降 over a year / half year
+const trendThreshold = { 52: 0.1, 26: 0.05 };
+// Weeks looked back for the line the price is coming from
+const lookback = 4;
+
+// Position of the close in the band: 0 at the lower, 0.5 at the middle, 1 at the upper line
+function percentB(bar, band) {
+  return band.upper === band.lower ? 0.5 : (bar.close - band.lower) / (band.upper - band.lower);
+}
+
+// The line ('下', '中', '上') a week sits at, or null between two lines
+function lineAt(bar, band) {
+  const position = percentB(bar, band);
+  const nearest = Math.max(0, Math.min(2, Math.round(position * 2)));
+  return Math.abs(position - nearest / 2) <= nearLine ? lines[nearest] : null;
+}
+
+// Lines the week's range touched
+function touched(bar, band) {
+  const result = [];
+  if (bar.low <= band.lower) result.push('下');
+  if (bar.low <= band.mid && bar.high >= band.mid) result.push('中');
+  if (bar.high >= band.upper) result.push('上');
+  return result;
+}
+
+function trendOver(mids, end, weeks) {
+  const start = Math.max(end - weeks, mids.findIndex(value => value !== null));
+  if (end - start < weeks / 2) return null;
+  const change = mids[end] / mids[start] - 1;
+  if (change >= trendThreshold[weeks]) return '上升';
+  if (change <= -trendThreshold[weeks]) return '下降';
+  return '横';
+}
+
+// 上升 / 横 / 下降 over the last year, noting a different last half year
+function describeTrend(mids, end) {
+  const year = trendOver(mids, end, 52);
+  const half = trendOver(mids, end, 26);
+  if (!year) return half || '';
+  return half && half !== year ? `${year}，近半年${half}` : year;
+}
+
+// Lines touched over the last year, ordered by when each was last touched:
+// 上中下 when all three, otherwise e.g. 周中周上
+function describeYear(bars, bands, end) {
+  const lastTouch = new Map();
+  for (let i = Math.max(0, end - 51); i <= end; i++) {
+    if (!bands[i]) continue;
+    touched(bars[i], bands[i]).forEach(line => {
+      lastTouch.delete(line);
+      lastTouch.set(line, i);
+    });
+  }
+  const order = [...lastTouch.keys()];
+  if (order.length === 3) return order.join('');
+  return order.map(line => `周${line}`).join('');
+}
+
+// 周中, 周中->周上 (coming from the middle line), 周下到周中之间 …
+function describeCurrent(bars, bands, end) {
+  const current = lineAt(bars[end], bands[end]);
+  let previous = null;
+  for (let i = end - 1; i >= Math.max(0, end - lookback) && !previous; i--) {
+    if (bands[i]) previous = lineAt(bars[i], bands[i]);
+  }
+
+  if (current) return previous && previous !== current ? `周${previous}->周${current}` : `周${current}`;
+
+  const position = percentB(bars[end], bands[end]);
+  if (position > 1) return '周上之上';
+  if (position < 0) return '周下之下';
+  const [below, above] = position < 0.5 ? ['下', '中'] : ['中', '上'];
+  if (previous === below) return `周${below}->周${above}`;
+  if (previous === above) return `周${above}->周${below}`;
+  return `周${below}到周${above}之间`;
+}
+
+// Weekly state of one stock from its daily bars, or null with too little history
+function classifyBoll(dailyBars) {
+  const bars = resample(dailyBars, 'week');
+  const bands = boll(bars.map(bar => bar.close));
+  const end = bars.length - 1;
+  if (end < 0 || bands.mid[end] === null) return null;
+
+  const byWeek = bands.mid.map((mid, i) => (mid === null ? null : { upper: bands.upper[i], mid, lower: bands.lower[i] }));
+  return {
+    date: bars[end].date,
+    close: bars[end].close,
+    band: byWeek[end],
+    trend: describeTrend(bands.mid, end),
+    year: describeYear(bars, byWeek, end),
+    current: describeCurrent(bars, byWeek, end)
+  };
+}
+
+const writtenColumns = {
+  name: /^(股票名称|股票|名称)$/,
+  trend: /BOLL趋势$/,
+  year: /总体BOLL状态$/,
+  current: /^当前.*BOLL状态$/
+};
+
+// The latest hand-filled row per stock from the 周K分析 notes' tables
+function latestWrittenStates(tableExports, stocks) {
+  const written = new Map();
+
+  tableExports
+    .filter(({ file }) => /^周K分析/.test(file.name) && file.noteDate && file.noteDate.day !== null)
+    .sort((a, b) => dateKey(a.file.noteDate).localeCompare(dateKey(b.file.noteDate)))
+    .forEach(({ file, tables }) => tables.forEach(table => {
+      const index = {};
+      Object.entries(writtenColumns).forEach(([key, pattern]) => {
+        index[key] = table.columns.findIndex(column => pattern.test(column.name));
+      });
+      if (index.name === -1 || (index.trend === -1 && index.current === -1)) return;
+
+      table.rows.forEach(row => {
+        const name = row[index.name] ? row[index.name].text.split('\n')[0] : '';
+        const stock = stocks.lookup(name) || stocks.find(name)[0];
+        if (!stock) return;
+        const text = key => (index[key] !== -1 && row[index[key]] ? row[index[key]].text.replace(/\n/g, ' / ') : '');
+        written.set(stock, { file, date: dateKey(file.noteDate), trend: text('trend'), year: text('year'), current: text('current') });
+      });
+    }));
+
+  return written;
+}
+
+// Compares the words that matter: the last 周上/周中/周下 of the current
+// state and the first 上升/横/下降 of the trend
+function sameState(key, computed, written) {
+  const pattern = key === 'current' ? /周[上中下]/g : /上升|横|下降/g;
+  const pick = text => {
+    const words = text.match(pattern) || [];
+    return key === 'current' ? words[words.length - 1] : words[0];
+  };
+  return !written || !pick(written) || pick(written) === pick(computed);
+}
+
+// The state in the week a 周K分析 note was written: bars up to the note's
+// date, or null when the prices stop more than a week before it
+function stateAsOf(dailyBars, date) {
+  const bars = dailyBars.filter(bar => bar.date <= date);
+  if (bars.length === 0) return null;
+  const gap = (Date.parse(`${date}T00:00:00Z`) - Date.parse(`${bars[bars.length - 1].date}T00:00:00Z`)) / 86400000;
+  return gap > 7 ? null : classifyBoll(bars);
+}
+
+// Each row's state is from the latest bar; the hand-written state is
+// compared with asOf, the state in the week of the note it came from
+function buildBollStates(stocks, store, tableExports, { onWarning = () => {} } = {}) {
+  const written = latestWrittenStates(tableExports, stocks);
+  const rows = [];
+  stocks.stocks.forEach(stock => {
+    const relPath = store.pathFor(stock);
+    if (!relPath) return;
+    try {
+      const bars = store.load(relPath);
+      const note = written.get(stock) || null;
+      rows.push({ stock, state: classifyBoll(bars), written: note, asOf: note ? stateAsOf(bars, note.date) : null });
+    } catch (error) {
+      if (!(error instanceof OhlcError)) throw error;
+      onWarning(error.message);
+    }
+  });
+  return rows;
+}
+
+function renderWritten(key, asOf, written) {
+  if (!written || !written[key]) return '<td class="boll-written">-</td>';
+  if (!asOf) return `<td class="boll-written" title="行情不含 ${written.date} 这一周，未对照">${escapeHtml(written[key])}</td>`;
+  const differs = !sameState(key, asOf[key], written[key]);
+  const title = `${asOf.date} 这一周计算为: ${asOf[key]}`;
+  return `<td class="boll-written${differs ? ' is-different' : ''}" title="${escapeHtml(differs ? `与计算结果不一致，${title}` : title)}">${escapeHtml(written[key])}</td>`;
+}
+
+function markdownTable(rows) {
+  return [
+    '| 股票名称 | BOLL趋势 | 近一年的总体BOLL状态 | 当前BOLL状态 |',
+    '| ---- | ---- | ---- | ---- |',
+    ...rows.map(({ stock, state }) => `| ${stock.name} | ${state.trend} | ${state.year} | ${state.current} |`)
+  ].join('\n');
+}
+
+function generateBollPage(rows) {
+  const classified = rows.filter(row => row.state);
+  const short = rows.filter(row => !row.state);
+  const price = value => value.toFixed(2);
+
+  const body = classified.map(({ stock, state, written, asOf }) => `
+          <tr>
+            <td><a href="stocks/${encodeURIComponent(stockFileName(stock))}">${escapeHtml(stock.name)}</a></td>
+            <td>${escapeHtml(state.trend)}</td>
+            <td>${escapeHtml(state.year)}</td>
+            <td>${escapeHtml(state.current)}</td>
+            <td>${state.date}</td>
+            <td>${price(state.close)}</td>
+            <td>${price(state.band.upper)} / ${price(state.band.mid)} / ${price(state.band.lower)}</td>
+            ${renderWritten('trend', asOf, written)}
+            ${renderWritten('current', asOf, written)}
+            <td>${written ? `<a href="${encodeURIComponent(written.file.outputName)}.html">${written.date}</a>` : '-'}</td>
+          </tr>`).join('');
+
+  const content = rows.length === 0
+    ? '<p class="empty-state">data/ohlc/ 下还没有股票行情文件 (每只股票一个 &lt;代码&gt;.csv)</p>'
+    : `<div class="calculator-grid-wrap">
+        <table class="calculator-grid screen-table boll-table">
+          <thead><tr><th>股票名称</th><th>BOLL趋势</th><th>近一年的总体BOLL状态</th><th>当前BOLL状态</th><th>周K日期</th><th>收盘</th><th>上轨 / 中轨 / 下轨</th><th>手写趋势</th><th>手写当前状态</th><th>周K分析</th></tr></thead>
+          <tbody>${body}
+          </tbody>
+        </table>
+      </div>
+      ${short.length ? `<p class="tag-context-meta">不足 20 周行情，无法计算: ${short.map(({ stock }) => escapeHtml(stock.name)).join('、')}</p>` : ''}
+      ${classified.length ? `<h2 class="calculator-heading">周K分析表格</h2>
+      <pre class="boll-markdown"><code>${escapeHtml(markdownTable(classified))}</code></pre>` : ''}`;
+
+  return generatePage({
+    title: '周K BOLL状态',
+    subtitle: `按周K BOLL(20, 2) 计算 ${classified.length} 只股票的周上/周中/周下状态，并把最近一篇周K分析中手写的状态与笔记当周的计算结果对照`,
+    body: content
+  });
+}
+
+module.exports = {
+  lineAt,
+  trendOver,
+  classifyBoll,
+  latestWrittenStates,
+  buildBollStates,
+  generateBollPage
+};
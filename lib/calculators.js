@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+
+// Calculator pages generated next to the notes. Each one is linked from the
+// note (by name) that explains its formulas, and runs entirely in the
+// browser from a script in lib/client/.
+const calculators = [
+  {
+    id: 'safety-margin',
+    title: '股息安全边界计算器',
+    note: '股息率与股价跌幅安全边界问题',
+    subtitle: '输入股数、买入价、每股年分红和目标股息率，计算 H1 股息价格、预计分红和不同涨跌幅、持有年数下的盈亏',
+    fields: [
+      { name: 'shares', label: '股数', value: 5000, step: 100 },
+      { name: 'price', label: '买入价 (元)', value: 26.12, step: 0.01 },
+      { name: 'dividend', label: '每股年分红 (元)', value: 0.943, step: 0.001 },
+      { name: 'target', label: '目标股息率 (%)', value: 6, step: 0.1 }
+    ]
+  },
+  {
+    id: 'trade-cost',
+    title: '股价计算器',
+    note: '网页2026-02-19',
+    subtitle: '输入买入价、卖出价和股数 (100 股的整数倍)，计算含手续费的买入成本、卖出到手价、收益和预设涨跌幅价格',
+    fields: [
+      { name: 'buy', label: '买入价 (元)', value: 10, step: 0.01 },
+      { name: 'sell', label: '卖出价 (元)', value: 10.5, step: 0.01 },
+      { name: 'shares', label: '买入股数', value: 1000, step: 100, min: 100 },
+      { name: 'fee', label: '每笔固定手续费 (元)', value: 5, step: 0.01 },
+      { name: 'commission', label: '佣金费率 (%)', value: 0, step: 0.001 },
+      { name: 'stampDuty', label: '卖出印花税 (%)', value: 0, step: 0.01 }
+    ]
+  }
+];
+
+function calculatorFileName(calculator) {
+  return `${calculator.id}.html`;
+}
+
+function renderField(field) {
+  return `<label class="calculator-field">
+          <span>${escapeHtml(field.label)}</span>
+          <input type="number" name="${field.name}" value="${field.value}" step="${field.step}" min="${field.min || 0}" inputmode="decimal">
+        </label>`;
+}
+
+// `note` is the resolved note entry the calculator explains, or null
+function generateCalculatorPage(calculator, note) {
+  const script = fs.readFileSync(path.join(__dirname, 'client', `${calculator.id}.js`), 'utf-8');
+
+  return generatePage({
+    title: calculator.title,
+    subtitle: `${escapeHtml(calculator.subtitle)}${note ? ` · 说明见 <a href="${encodeURIComponent(note.outputName)}.html">${escapeHtml(note.title)}</a>` : ''}`,
+    body: `<form class="calculator-form" data-calculator="${calculator.id}" onsubmit="return false">
+        ${calculator.fields.map(renderField).join('\n        ')}
+      </form>
+      <div class="calculator-results"></div>`,
+    scripts: `<script>${script}</script>`
+  });
+}
+
+// Links shown in the header of the notes calculators belong to
+function renderCalculatorLinks(file) {
+  const links = calculators
+    .filter(calculator => calculator.note === file.name)
+    .map(calculator => `<a href="${calculatorFileName(calculator)}" class="doc-calculator">🧮 ${escapeHtml(calculator.title)}</a>`);
+  return links.length ? `<div class="doc-calculators">${links.join('')}</div>` : '';
+}
+
+module.exports = {
+  calculators,
+  calculatorFileName,
+  generateCalculatorPage,
+  renderCalculatorLinks
+};
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+// Obsidian's preset canvas colors ("1" to "6"); anything else is a CSS color
+const presetColors = {
+  1: '#e93147',
+  2: '#ec7500',
+  3: '#e0ac00',
+  4: '#08b94e',
+  5: '#086ddd',
+  6: '#7852ee'
+};
+
+const padding = 80;
+
+function canvasColor(color) {
+  if (!color) return null;
+  if (presetColors[color]) return presetColors[color];
+  return /^#[0-9a-f]{3,8}$/i.test(color) ? color : null;
+}
+
+// Load every .canvas file in the vault as a dashboard entry shaped like a note
+function findCanvasFiles(rootDir, vault) {
+  return vault.files
+    .filter(file => file.toLowerCase().endsWith('.canvas'))
+    .map(relPath => {
+      const fullPath = path.join(rootDir, relPath);
+      const stats = fs.statSync(fullPath);
+      const name = path.posix.basename(relPath, '.canvas');
+      const folder = path.posix.dirname(relPath) === '.' ? '' : path.posix.dirname(relPath);
+
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+      } catch (err) {
+        console.warn(`Warning: skipping ${relPath}: ${err.message}`);
+        return null;
+      }
+
+      const nodes = Array.isArray(data.nodes) ? data.nodes : [];
+      const edges = Array.isArray(data.edges) ? data.edges : [];
+      const firstText = nodes.find(node => node.type === 'text' && node.text);
+
+      return {
+        type: 'canvas',
+        filename: path.posix.basename(relPath),
+        name,
+        outputName: `${folder ? folder.replace(/\//g, '_') + '_' : ''}${name}.canvas`,
+        title: name,
+        description: `白板 · ${nodes.length} 个节点 · ${edges.length} 条连线${firstText ? ` · ${firstText.text.split('\n')[0].substring(0, 80)}` : ''}`,
+        nodes,
+        edges,
+        mtime: stats.mtime,
+        size: stats.size,
+        folder,
+        fullPath
+      };
+    })
+    .filter(Boolean);
+}
+
+// Point on the given side of a node, plus the outward direction of that side
+function anchor(node, side) {
+  const cx = node.x + node.width / 2;
+  const cy = node.y + node.height / 2;
+  switch (side) {
+    case 'top': return { x: cx, y: node.y, dx: 0, dy: -1 };
+    case 'bottom': return { x: cx, y: node.y + node.height, dx: 0, dy: 1 };
+    case 'left': return { x: node.x, y: cy, dx: -1, dy: 0 };
+    default: return { x: node.x + node.width, y: cy, dx: 1, dy: 0 };
+  }
+}
+
+// Pick facing sides when the canvas file leaves them out
+function defaultSides(from, to) {
+  const dx = (to.x + to.width / 2) - (from.x + from.width / 2);
+  const dy = (to.y + to.height / 2) - (from.y + from.height / 2);
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return dx > 0 ? ['right', 'left'] : ['left', 'right'];
+  }
+  return dy > 0 ? ['bottom', 'top'] : ['top', 'bottom'];
+}
+
+function renderEdge(edge, nodesById, offset) {
+  const from = nodesById.get(edge.fromNode);
+  const to = nodesById.get(edge.toNode);
+  if (!from || !to) return '';
+
+  const [fromSide, toSide] = defaultSides(from, to);
+  const a = anchor(from, edge.fromSide || fromSide);
+  const b = anchor(to, edge.toSide || toSide);
+  const bend = Math.max(40, Math.hypot(b.x - a.x, b.y - a.y) / 3);
+  const color = canvasColor(edge.color) || '#94a3b8';
+  const point = (x, y) => `${(x + offset.x).toFixed(1)},${(y + offset.y).toFixed(1)}`;
+
+  const d = `M${point(a.x, a.y)} C${point(a.x + a.dx * bend, a.y + a.dy * bend)} ${point(b.x + b.dx * bend, b.y + b.dy * bend)} ${point(b.x, b.y)}`;
+  const markerEnd = (edge.toEnd || 'arrow') === 'arrow' ? ' marker-end="url(#canvas-arrow)"' : '';
+  const markerStart = edge.fromEnd === 'arrow' ? ' marker-start="url(#canvas-arrow)"' : '';
+
+  const label = edge.label
+    ? `<text x="${((a.x + b.x) / 2 + offset.x).toFixed(1)}" y="${((a.y + b.y) / 2 + offset.y - 6).toFixed(1)}" text-anchor="middle" class="canvas-edge-label">${escapeHtml(edge.label)}</text>`
+    : '';
+
+  return `<path d="${d}" stroke="${color}"${markerStart}${markerEnd}></path>${label}`;
+}
+
+// Render one node's inner HTML. `resolveFile` maps a vault path to
+// { kind: 'image' | 'note' | 'file', ... } or null when it is missing.
+function renderNodeBody(node, { renderText, resolveFile }) {
+  switch (node.type) {
+    case 'text':
+      return `<div class="canvas-text markdown-body">${renderText(node.text || '')}</div>`;
+    case 'link': {
+      // Only web pages are linked; javascript: and other schemes stay text
+      const url = String(node.url || '').trim();
+      return /^https?:\/\//i.test(url)
+        ? `<a class="canvas-link" href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a>`
+        : `<span class="canvas-link">${escapeHtml(url)}</span>`;
+    }
+    case 'group':
+      return node.label ? `<div class="canvas-group-label">${escapeHtml(node.label)}</div>` : '';
+    case 'file': {
+      const target = resolveFile(node.file || '');
+      if (!target) {
+        return `<div class="canvas-missing">缺少文件: ${escapeHtml(node.file || '')}</div>`;
+      }
+      if (target.kind === 'image') {
+        return `<img src="${escapeHtml(target.url)}" alt="${escapeHtml(target.title)}" loading="lazy">`;
+      }
+      if (target.kind === 'note') {
+        return `<a class="canvas-note" href="${escapeHtml(target.url)}">
+          <span class="canvas-note-title">${escapeHtml(target.title)}</span>
+          <span class="canvas-note-description">${escapeHtml(target.description || '')}</span>
+        </a>`;
+      }
+      return `<a class="canvas-file" href="${escapeHtml(target.url)}">${escapeHtml(target.title)}</a>`;
+    }
+    default:
+      return '';
+  }
+}
+
+function renderCanvasBoard(canvas, options) {
+  const nodes = canvas.nodes.filter(node =>
+    [node.x, node.y, node.width, node.height].every(Number.isFinite));
+
+  if (nodes.length === 0) {
+    return { width: 0, height: 0, html: '<p class="canvas-empty">这个白板是空的</p>' };
+  }
+
+  const minX = Math.min(...nodes.map(n => n.x));
+  const minY = Math.min(...nodes.map(n => n.y));
+  const maxX = Math.max(...nodes.map(n => n.x + n.width));
+  const maxY = Math.max(...nodes.map(n => n.y + n.height));
+  const offset = { x: padding - minX, y: padding - minY };
+  const width = maxX - minX + padding * 2;
+  const height = maxY - minY + padding * 2;
+
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+  // Groups first so they sit underneath the nodes they contain
+  const ordered = [...nodes].sort((a, b) => (a.type === 'group' ? 0 : 1) - (b.type === 'group' ? 0 : 1));
+  const nodeHtml = ordered.map(node => {
+    const color = canvasColor(node.color);
+    const style = [
+      `left: ${node.x + offset.x}px`,
+      `top: ${node.y + offset.y}px`,
+      `width: ${node.width}px`,
+      `height: ${node.height}px`,
+      color ? `--node-color: ${color}` : ''
+    ].filter(Boolean).join('; ');
+    return `<div class="canvas-node canvas-node-${escapeHtml(node.type)}" style="${style}">${renderNodeBody(node, options)}</div>`;
+  }).join('\n');
+
+  const edgeHtml = canvas.edges.map(edge => renderEdge(edge, nodesById, offset)).join('\n');
+
+  return {
+    width,
+    height,
+    html: `<svg class="canvas-edges" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <defs>
+        <marker id="canvas-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+          <path d="M0,0 L10,5 L0,10 z" fill="#94a3b8"></path>
+        </marker>
+      </defs>
+      ${edgeHtml}
+    </svg>
+    ${nodeHtml}`
+  };
+}
+
+// Pan (drag) and zoom (wheel / buttons) the board with a CSS transform
+const panZoomScript = `
+(function () {
+  var viewport = document.querySelector('.canvas-viewport');
+  var world = document.querySelector('.canvas-world');
+  if (!viewport || !world) return;
+
+  var width = Number(world.dataset.width), height = Number(world.dataset.height);
+  var state = { x: 0, y: 0, scale: 1 };
+
+  function apply() {
+    world.style.transform = 'translate(' + state.x + 'px,' + state.y + 'px) scale(' + state.scale + ')';
+    document.querySelector('.canvas-zoom-level').textContent = Math.round(state.scale * 100) + '%';
+  }
+
+  function zoomAt(factor, cx, cy) {
+    var next = Math.min(4, Math.max(0.1, state.scale * factor));
+    state.x = cx - (cx - state.x) * (next / state.scale);
+    state.y = cy - (cy - state.y) * (next / state.scale);
+    state.scale = next;
+    apply();
+  }
+
+  function fit() {
+    var rect = viewport.getBoundingClientRect();
+    state.scale = Math.min(rect.width / width, rect.height / height, 1);
+    state.x = (rect.width - width * state.scale) / 2;
+    state.y = (rect.height - height * state.scale) / 2;
+    apply();
+  }
+
+  viewport.addEventListener('wheel', function (event) {
+    event.preventDefault();
+    var rect = viewport.getBoundingClientRect();
+    zoomAt(event.deltaY < 0 ? 1.1 : 1 / 1.1, event.clientX - rect.left, event.clientY - rect.top);
+  }, { passive: false });
+
+  var drag = null;
+  viewport.addEventListener('pointerdown', function (event) {
+    if (event.target.closest('a')) return;
+    drag = { x: event.clientX - state.x, y: event.clientY - state.y };
+    viewport.setPointerCapture(event.pointerId);
+    viewport.classList.add('is-dragging');
+  });
+  viewport.addEventListener('pointermove', function (event) {
+    if (!drag) return;
+    state.x = event.clientX - drag.x;
+    state.y = event.clientY - drag.y;
+    apply();
+  });
+  viewport.addEventListener('pointerup', function () {
+    drag = null;
+    viewport.classList.remove('is-dragging');
+  });
+
+  document.querySelectorAll('[data-canvas-action]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      var rect = viewport.getBoundingClientRect();
+      var action = button.dataset.canvasAction;
+      if (action === 'fit') return fit();
+      zoomAt(action === 'in' ? 1.25 : 0.8, rect.width / 2, rect.height / 2);
+    });
+  });
+
+  window.addEventListener('resize', fit);
+  fit();
+})();
+`;
+
+function generateCanvasPage(canvas, options) {
+  const board = renderCanvasBoard(canvas, options);
+  const breadcrumb = canvas.folder ? `<span class="doc-breadcrumb">${escapeHtml(canvas.folder.replace(/\//g, ' / '))}</span>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(canvas.title)} - 工作文档仓库</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body class="canvas-page">
+  <header class="canvas-toolbar">
+    <a href="index.html" class="canvas-back">← 工作文档仓库</a>
+    ${breadcrumb}
+    <h1 class="canvas-title">${escapeHtml(canvas.title)}</h1>
+    <div class="canvas-controls">
+      <button type="button" data-canvas-action="out" title="缩小">−</button>
+      <span class="canvas-zoom-level">100%</span>
+      <button type="button" data-canvas-action="in" title="放大">+</button>
+      <button type="button" data-canvas-action="fit" title="适应窗口">适应</button>
+    </div>
+  </header>
+  <div class="canvas-viewport">
+    <div class="canvas-world" data-width="${board.width}" data-height="${board.height}" style="width: ${board.width}px; height: ${board.height}px">
+      ${board.html}
+    </div>
+  </div>
+  <script>${panZoomScript}</script>
+</body>
+</html>`;
+}
+
+module.exports = { findCanvasFiles, generateCanvasPage };
@@ -0,0 +1,405 @@
+const yaml = require('js-yaml');
+const { escapeHtml } = require('./html');
+
+// Chart types from the obsidian-charts plugin we can draw as static SVG
+const supportedTypes = ['line', 'bar', 'pie', 'doughnut'];
+
+const palette = ['#2563eb', '#dc2626', '#16a34a', '#f59e0b', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+const chartWidth = 640;
+const chartHeight = 360;
+const margin = { top: 48, right: 20, bottom: 44, left: 56 };
+
+class ChartError extends Error {}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Parse a ```chart block using the obsidian-charts YAML schema and validate
+// the parts the renderer depends on. Throws ChartError on malformed input.
+function parseChartBlock(source) {
+  let spec;
+  try {
+    spec = yaml.safeLoad(source);
+  } catch (err) {
+    throw new ChartError(`YAML 解析失败: ${err.reason || err.message}`);
+  }
+
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new ChartError('图表配置必须是 YAML 对象');
+  }
+
+  const type = String(spec.type || '').trim();
+  if (!supportedTypes.includes(type)) {
+    throw new ChartError(`不支持的图表类型 "${type}"，可用: ${supportedTypes.join(', ')}`);
+  }
+
+  if (!Array.isArray(spec.series) || spec.series.length === 0) {
+    throw new ChartError('缺少 series 数据');
+  }
+
+  const series = spec.series.map((item, index) => {
+    if (!item || !Array.isArray(item.data)) {
+      throw new ChartError(`series[${index}] 缺少 data 数组`);
+    }
+    return {
+      title: item.title === undefined || item.title === null ? `系列${index + 1}` : String(item.title),
+      data: item.data.map(toNumber)
+    };
+  });
+
+  const longest = Math.max(...series.map(s => s.data.length));
+  const labels = Array.isArray(spec.labels)
+    ? spec.labels.map(label => (label === null || label === undefined ? '' : String(label)))
+    : Array.from({ length: longest }, (_, i) => String(i + 1));
+
+  const warnings = [];
+  series.forEach((s, index) => {
+    if (s.data.length !== labels.length) {
+      warnings.push(`series[${index}] 有 ${s.data.length} 个数据点，但 labels 有 ${labels.length} 个`);
+    }
+  });
+
+  let bestFitNumber = null;
+  if (spec.bestFit === true) {
+    bestFitNumber = toNumber(spec.bestFitNumber) || 0;
+    if (type !== 'line') {
+      warnings.push('bestFit 只对 line 图表生效');
+      bestFitNumber = null;
+    } else if (!series[bestFitNumber]) {
+      throw new ChartError(`bestFitNumber ${bestFitNumber} 超出 series 范围`);
+    }
+  }
+
+  return {
+    spec: {
+      type,
+      labels,
+      series,
+      tension: Math.min(Math.max(toNumber(spec.tension) || 0, 0), 1),
+      width: /^\d+(\.\d+)?(%|px)$/.test(String(spec.width || '').trim()) ? String(spec.width).trim() : null,
+      fill: spec.fill === true,
+      labelColors: spec.labelColors === true,
+      beginAtZero: spec.beginAtZero === true,
+      yMin: toNumber(spec.yMin),
+      yMax: toNumber(spec.yMax),
+      bestFitNumber,
+      bestFitTitle: spec.bestFitTitle ? String(spec.bestFitTitle) : '趋势线'
+    },
+    warnings
+  };
+}
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(10)));
+}
+
+// Round axis bounds outward to a "nice" step so tick labels stay readable
+function niceScale(min, max, tickCount = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    min -= pad / 2;
+    max += pad / 2;
+  }
+
+  const rough = (max - min) / (tickCount - 1);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 2.5, 5, 10].map(n => n * magnitude).find(n => n >= rough);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+
+  const ticks = [];
+  for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+    ticks.push(value);
+  }
+  return { min: niceMin, max: niceMax, ticks };
+}
+
+// Least-squares line through the numeric points of one series
+function linearRegression(data) {
+  const points = data.map((y, x) => [x, y]).filter(([, y]) => y !== null);
+  const n = points.length;
+  if (n < 2) return null;
+
+  const sumX = points.reduce((sum, [x]) => sum + x, 0);
+  const sumY = points.reduce((sum, [, y]) => sum + y, 0);
+  const sumXY = points.reduce((sum, [x, y]) => sum + x * y, 0);
+  const sumXX = points.reduce((sum, [x]) => sum + x * x, 0);
+  const denominator = n * sumXX - sumX * sumX;
+  if (denominator === 0) return null;
+
+  const slope = (n * sumXY - sumX * sumY) / denominator;
+  const intercept = (sumY - slope * sumX) / n;
+  return x => slope * x + intercept;
+}
+
+// Cubic path through points using the same control-point spline as Chart.js
+function linePath(points, tension) {
+  if (points.length === 0) return '';
+  if (tension === 0 || points.length < 3) {
+    return points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  }
+
+  const controls = points.map((point, i) => {
+    const prev = points[i - 1] || point;
+    const next = points[i + 1] || point;
+    const d01 = Math.hypot(point[0] - prev[0], point[1] - prev[1]);
+    const d12 = Math.hypot(next[0] - point[0], next[1] - point[1]);
+    const total = d01 + d12 || 1;
+    const fa = (tension * d01) / total;
+    const fb = (tension * d12) / total;
+    return {
+      before: [point[0] - fa * (next[0] - prev[0]), point[1] - fa * (next[1] - prev[1])],
+      after: [point[0] + fb * (next[0] - prev[0]), point[1] + fb * (next[1] - prev[1])]
+    };
+  });
+
+  let d = `M${points[0][0].toFixed(1)},${points[0][1].toFixed(1)}`;
+  for (let i = 1; i < points.length; i++) {
+    const c1 = controls[i - 1].after;
+    const c2 = controls[i].before;
+    const p = points[i];
+    d += ` C${c1[0].toFixed(1)},${c1[1].toFixed(1)} ${c2[0].toFixed(1)},${c2[1].toFixed(1)} ${p[0].toFixed(1)},${p[1].toFixed(1)}`;
+  }
+  return d;
+}
+
+function renderLegend(entries) {
+  let x = margin.left;
+  return entries.map(({ title, color, dashed }) => {
+    const item = `
+    <g class="chart-legend-item" transform="translate(${x},16)">
+      <rect width="14" height="10" y="-9" rx="2" fill="${color}"${dashed ? ' opacity="0.5"' : ''}></rect>
+      <text x="20" y="0">${escapeHtml(title)}</text>
+    </g>`;
+    x += 34 + Array.from(title).reduce((w, ch) => w + (ch.charCodeAt(0) > 255 ? 12 : 7), 0);
+    return item;
+  }).join('');
+}
+
+function renderAxes(spec, scale, xAt, plot) {
+  const y = value => plot.bottom - ((value - scale.min) / (scale.max - scale.min)) * plot.height;
+  const step = Math.ceil(spec.labels.length / 12);
+
+  const grid = scale.ticks.map(tick => `
+    <line class="chart-grid" x1="${plot.left}" x2="${plot.right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}"></line>
+    <text class="chart-tick" x="${plot.left - 8}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end">${formatNumber(tick)}</text>`).join('');
+
+  const labels = spec.labels.map((label, i) => (i % step === 0 ? `
+    <text class="chart-tick" x="${xAt(i).toFixed(1)}" y="${plot.bottom + 20}" text-anchor="middle">${escapeHtml(label)}</text>` : '')).join('');
+
+  return { y, svg: `${grid}
+    <line class="chart-axis" x1="${plot.left}" x2="${plot.right}" y1="${plot.bottom}" y2="${plot.bottom}"></line>${labels}` };
+}
+
+function valueScale(spec) {
+  const values = spec.series.flatMap(s => s.data).filter(v => v !== null);
+  let min = values.length ? Math.min(...values) : 0;
+  let max = values.length ? Math.max(...values) : 1;
+  if (spec.beginAtZero || spec.type === 'bar') {
+    min = Math.min(min, 0);
+    max = Math.max(max, 0);
+  }
+  const scale = niceScale(min, max);
+  if (spec.yMin !== null) scale.min = spec.yMin;
+  if (spec.yMax !== null) scale.max = spec.yMax;
+  scale.ticks = scale.ticks.filter(t => t >= scale.min && t <= scale.max);
+  return scale;
+}
+
+function plotArea() {
+  return {
+    left: margin.left,
+    right: chartWidth - margin.right,
+    top: margin.top,
+    bottom: chartHeight - margin.bottom,
+    width: chartWidth - margin.left - margin.right,
+    height: chartHeight - margin.top - margin.bottom
+  };
+}
+
+function renderLineChart(spec) {
+  const plot = plotArea();
+  const count = spec.labels.length;
+  const xAt = i => (count <= 1 ? plot.left + plot.width / 2 : plot.left + (plot.width * i) / (count - 1));
+  const scale = valueScale(spec);
+  const axes = renderAxes(spec, scale, xAt, plot);
+
+  const lines = spec.series.map((series, index) => {
+    const color = palette[index % palette.length];
+
+    // Gaps (null values) split the line into separate segments
+    const segments = [[]];
+    series.data.forEach((value, i) => {
+      if (value === null) {
+        if (segments[segments.length - 1].length) segments.push([]);
+      } else {
+        segments[segments.length - 1].push([xAt(i), axes.y(value)]);
+      }
+    });
+
+    return segments.filter(points => points.length).map(points => {
+      const d = linePath(points, spec.tension);
+      const area = spec.fill
+        ? `<path d="${d} L${points[points.length - 1][0].toFixed(1)},${plot.bottom} L${points[0][0].toFixed(1)},${plot.bottom} Z" fill="${color}" opacity="0.15"></path>`
+        : '';
+      const dots = points.map(([x, y]) => `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="2.5" fill="${color}"></circle>`).join('');
+      return `
+    ${area}<path d="${d}" fill="none" stroke="${color}" stroke-width="2"></path>${dots}`;
+    }).join('');
+  }).join('');
+
+  const legend = spec.series.map((s, i) => ({ title: s.title, color: palette[i % palette.length] }));
+
+  let bestFit = '';
+  if (spec.bestFitNumber !== null) {
+    const fit = linearRegression(spec.series[spec.bestFitNumber].data);
+    if (fit) {
+      const last = Math.max(count - 1, 0);
+      bestFit = `
+    <line class="chart-best-fit" x1="${xAt(0).toFixed(1)}" y1="${axes.y(fit(0)).toFixed(1)}" x2="${xAt(last).toFixed(1)}" y2="${axes.y(fit(last)).toFixed(1)}"></line>`;
+      legend.push({ title: spec.bestFitTitle, color: '#64748b', dashed: true });
+    }
+  }
+
+  return `${renderLegend(legend)}${axes.svg}${lines}${bestFit}`;
+}
+
+function renderBarChart(spec) {
+  const plot = plotArea();
+  const count = Math.max(spec.labels.length, 1);
+  const band = plot.width / count;
+  const xAt = i => plot.left + band * (i + 0.5);
+  const scale = valueScale(spec);
+  const axes = renderAxes(spec, scale, xAt, plot);
+  const zero = axes.y(Math.min(Math.max(0, scale.min), scale.max));
+
+  const groupWidth = band * 0.8;
+  const barWidth = groupWidth / spec.series.length;
+  const colorByLabel = spec.labelColors && spec.series.length === 1;
+
+  const bars = spec.series.map((series, s) => series.data.map((value, i) => {
+    if (value === null || i >= count) return '';
+    const color = palette[(colorByLabel ? i : s) % palette.length];
+    const x = xAt(i) - groupWidth / 2 + barWidth * s;
+    const y = axes.y(value);
+    return `
+    <rect x="${x.toFixed(1)}" y="${Math.min(y, zero).toFixed(1)}" width="${Math.max(barWidth - 2, 1).toFixed(1)}" height="${Math.abs(zero - y).toFixed(1)}" fill="${color}"><title>${escapeHtml(`${series.title} ${spec.labels[i]}: ${formatNumber(value)}`)}</title></rect>`;
+  }).join('')).join('');
+
+  const legend = colorByLabel
+    ? spec.labels.map((label, i) => ({ title: label, color: palette[i % palette.length] }))
+    : spec.series.map((s, i) => ({ title: s.title, color: palette[i % palette.length] }));
+
+  return `${renderLegend(legend)}${axes.svg}${bars}`;
+}
+
+function renderPieChart(spec) {
+  const data = spec.series[0].data.map(v => (v === null || v < 0 ? 0 : v));
+  const total = data.reduce((sum, v) => sum + v, 0);
+  const cx = chartWidth / 2;
+  const cy = margin.top + (chartHeight - margin.top) / 2 - 4;
+  const radius = (chartHeight - margin.top) / 2 - 12;
+  const inner = spec.type === 'doughnut' ? radius * 0.55 : 0;
+
+  let angle = -Math.PI / 2;
+  const slices = data.map((value, i) => {
+    if (!total || !value) return '';
+    const sweep = (value / total) * Math.PI * 2;
+    const color = palette[i % palette.length];
+    const label = escapeHtml(`${spec.labels[i] || ''}: ${formatNumber(value)} (${((value / total) * 100).toFixed(1)}%)`);
+    const start = angle;
+    angle += sweep;
+
+    // A full circle cannot be drawn as a single arc
+    if (sweep >= Math.PI * 2 - 1e-9) {
+      return `
+    <circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"><title>${label}</title></circle>`;
+    }
+
+    const large = sweep > Math.PI ? 1 : 0;
+    const point = (r, a) => `${(cx + r * Math.cos(a)).toFixed(1)},${(cy + r * Math.sin(a)).toFixed(1)}`;
+    return `
+    <path d="M${point(radius, start)} A${radius},${radius} 0 ${large} 1 ${point(radius, angle)} L${inner ? point(inner, angle) : `${cx},${cy}`}${inner ? ` A${inner},${inner} 0 ${large} 0 ${point(inner, start)}` : ''} Z" fill="${color}" stroke="#fff" stroke-width="1"><title>${label}</title></path>`;
+  }).join('');
+
+  const hole = inner ? `
+    <circle cx="${cx}" cy="${cy}" r="${inner}" fill="#fff"></circle>` : '';
+
+  const legend = spec.labels.map((label, i) => ({ title: label, color: palette[i % palette.length] }));
+  return `${renderLegend(legend)}${slices}${hole}`;
+}
+
+// Render a parsed chart spec to an inline SVG figure
+function renderChart(spec) {
+  const body = spec.type === 'line'
+    ? renderLineChart(spec)
+    : spec.type === 'bar'
+      ? renderBarChart(spec)
+      : renderPieChart(spec);
+
+  const title = spec.series.map(s => s.title).join(' / ');
+  const style = spec.width ? ` style="width: ${spec.width}"` : '';
+
+  return `<figure class="chart"${style}>
+  <svg viewBox="0 0 ${chartWidth} ${chartHeight}" xmlns="http://www.w3.org/2000/svg" role="img">
+    <title>${escapeHtml(title)}</title>${body}
+  </svg>
+</figure>
+`;
+}
+
+// Spec for charts the build computes itself rather than parsing from a
+// ```chart block, with the same defaults parseChartBlock would give
+function chartSpec({ type = 'line', labels, series, ...options }) {
+  return {
+    type,
+    labels,
+    series,
+    tension: 0,
+    width: null,
+    fill: false,
+    labelColors: false,
+    beginAtZero: false,
+    yMin: null,
+    yMax: null,
+    bestFitNumber: null,
+    bestFitTitle: '趋势线',
+    ...options
+  };
+}
+
+// marked renderer override turning ```chart blocks into SVG. Malformed blocks
+// keep their source visible and are reported through `onWarning`.
+function createChartRenderer({ onWarning = () => {} } = {}) {
+  return {
+    code(code, infostring) {
+      if ((infostring || '').trim() !== 'chart') return false;
+
+      try {
+        const { spec, warnings } = parseChartBlock(code);
+        warnings.forEach(onWarning);
+        return renderChart(spec);
+      } catch (err) {
+        if (!(err instanceof ChartError)) throw err;
+        onWarning(err.message);
+        return `<div class="chart-error">图表无法渲染: ${escapeHtml(err.message)}</div>
+<pre><code class="language-chart">${escapeHtml(code)}</code></pre>
+`;
+      }
+    }
+  };
+}
+
+module.exports = {
+  ChartError,
+  parseChartBlock,
+  renderChart,
+  chartSpec,
+  createChartRenderer,
+  linearRegression,
+  niceScale
+};
@@ -0,0 +1,278 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+
+class ExpressionError extends Error {}
+
+// Evaluate + - * / and parentheses over numbers, where `x%` means x / 100.
+// A small recursive-descent parser; note text is never passed to eval.
+function evaluate(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?%?|[-+*/()]/g) || [];
+  if (tokens.join('') !== expression.replace(/\s+/g, '')) throw new ExpressionError('unexpected characters');
+  let pos = 0;
+
+  const factor = () => {
+    const token = tokens[pos++];
+    if (token === '-') return -factor();
+    if (token === '(') {
+      const value = sum();
+      if (tokens[pos++] !== ')') throw new ExpressionError('unbalanced parentheses');
+      return value;
+    }
+    if (token === undefined || !/^\d/.test(token)) throw new ExpressionError(`unexpected ${token}`);
+    return token.endsWith('%') ? parseFloat(token) / 100 : parseFloat(token);
+  };
+
+  const product = () => {
+    let value = factor();
+    while (tokens[pos] === '*' || tokens[pos] === '/') {
+      value = tokens[pos++] === '*' ? value * factor() : value / factor();
+    }
+    return value;
+  };
+
+  const sum = () => {
+    let value = product();
+    while (tokens[pos] === '+' || tokens[pos] === '-') {
+      value = tokens[pos++] === '+' ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  const value = sum();
+  if (pos !== tokens.length) throw new ExpressionError('trailing input');
+  return value;
+}
+
+function decimals(text) {
+  const dot = text.indexOf('.');
+  return dot === -1 ? 0 : text.length - dot - 1;
+}
+
+// A stated figure matches when it is the computed value rounded or cut off
+// to the precision it was written with; `≈` allows one unit in the last place
+function matches(computed, stated, places, approximate) {
+  const unit = Math.pow(10, -places);
+  const truncated = Math.abs(computed) >= Math.abs(stated) && Math.abs(computed) - Math.abs(stated) < unit;
+  return truncated || Math.abs(computed - stated) <= (approximate ? unit : unit / 2) + 1e-9;
+}
+
+function formatFigure(value, percent, places) {
+  const shown = percent ? value * 100 : value;
+  return `${Number(shown.toFixed(Math.max(places, 2) + 1))}${percent ? '%' : ''}`;
+}
+
+// `a + b + … = x`, `(a + b) / n ≈ x` and chains like `a / n ≈ x` found in
+// one line of note text. Returns every statement with its check result.
+function checkLine(line) {
+  const clean = line
+    .replace(/\*\*|__|`/g, '')
+    .replace(/（/g, '(')
+    .replace(/）/g, ')')
+    .replace(/×/g, '*')
+    .replace(/÷/g, '/');
+
+  const parts = clean.split(/\s*(=|≈|约等于)\s*/);
+  const results = [];
+
+  for (let i = 0; i + 2 < parts.length; i += 2) {
+    const left = /[\d.%\s+\-*/()]+$/.exec(parts[i]);
+    const right = /^[¥￥]?\s*(-?\d+(?:\.\d+)?)(%?)/.exec(parts[i + 2]);
+    if (!left || !right) continue;
+
+    // Only real arithmetic: two or more numbers joined by an operator
+    const expression = left[0].trim().replace(/^[)\s]+/, '');
+    if (!/\d\s*%?\s*\)?\s*[-+*/]\s*\(?\s*\d/.test(expression)) continue;
+
+    let computed;
+    try {
+      computed = evaluate(expression);
+    } catch (err) {
+      if (err instanceof ExpressionError) continue;
+      throw err;
+    }
+
+    const percent = right[2] === '%';
+    const places = decimals(right[1]) + (percent ? 2 : 0);
+    const stated = parseFloat(right[1]) / (percent ? 100 : 1);
+    const approximate = parts[i + 1] !== '=';
+
+    results.push({
+      kind: 'statement',
+      source: line.trim(),
+      text: `${expression} ${parts[i + 1]} ${right[0].trim()}`,
+      stated: right[0].trim(),
+      computed: formatFigure(computed, percent, places - (percent ? 2 : 0)),
+      ok: Number.isFinite(computed) && matches(computed, stated, places, approximate)
+    });
+  }
+
+  return results;
+}
+
+// Recompute the arithmetic written in paragraphs, list items and headings
+function checkStatements(tokens) {
+  const results = [];
+
+  const scan = raw => raw.split('\n').forEach(line => results.push(...checkLine(line)));
+
+  const visit = token => {
+    switch (token.type) {
+      case 'code':
+      case 'table':
+      case 'space':
+      case 'hr':
+        return;
+      case 'list':
+        token.items.forEach(item => {
+          scan(item.tokens.filter(child => child.type !== 'list').map(child => child.raw).join(''));
+          item.tokens.filter(child => child.type === 'list').forEach(visit);
+        });
+        return;
+      case 'blockquote':
+        token.tokens.forEach(visit);
+        return;
+      default:
+        if (token.raw) scan(token.raw);
+    }
+  };
+
+  tokens.forEach(visit);
+  return results;
+}
+
+const dividendColumn = /分红|派息|每股股利/;
+const priceColumn = /股价|价格|收盘|现价/;
+const yieldColumn = /股息率/;
+
+// Recompute derived yield columns (yield = dividend / price) in tables
+// exported by lib/tables. Each yield column is checked against the nearest
+// price column to its left; dividends quoted per 10 shares are divided by 10.
+function checkTable(table) {
+  const results = [];
+  const { columns } = table;
+  const dividendIndex = columns.findIndex(column => dividendColumn.test(column.name) && column.type === 'number');
+  if (dividendIndex === -1) return results;
+  const perShare = /10股/.test(columns[dividendIndex].name) ? 10 : 1;
+
+  columns.forEach((column, yieldIndex) => {
+    if (!yieldColumn.test(column.name) || column.type !== 'percent') return;
+
+    let priceIndex = -1;
+    for (let i = yieldIndex - 1; i >= 0; i--) {
+      if (priceColumn.test(columns[i].name) && columns[i].type === 'number') {
+        priceIndex = i;
+        break;
+      }
+    }
+    if (priceIndex === -1) return;
+
+    table.rows.forEach((row, r) => {
+      const dividend = row[dividendIndex];
+      const price = row[priceIndex];
+      const stated = row[yieldIndex];
+      if (dividend.type !== 'number' || price.type !== 'number' || stated.type !== 'percent' || price.value === 0) return;
+
+      const computed = dividend.value / perShare / price.value;
+      const places = decimals(stated.text.replace(/\s*%$/, '')) + 2;
+      results.push({
+        kind: 'table',
+        table: table.index,
+        row: r + 1,
+        text: `第 ${r + 1} 行 ${column.name}: ${columns[dividendIndex].name} ${dividend.text}${perShare === 10 ? ' ÷ 10' : ''} ÷ ${columns[priceIndex].name} ${price.text}`,
+        stated: stated.text,
+        computed: formatFigure(computed, true, places - 2),
+        ok: matches(computed, stated.value, places, false)
+      });
+    });
+  });
+
+  return results;
+}
+
+// Every check of one note: written statements and table yield columns
+function checkNote(tokens, tables) {
+  return [
+    ...checkStatements(tokens),
+    ...tables.flatMap(checkTable)
+  ];
+}
+
+function renderWarning(result) {
+  return `<div class="check-warning">⚠ 核对不一致: ${escapeHtml(result.text)}，写的是 ${escapeHtml(result.stated)}，重新计算为 ${escapeHtml(result.computed)}</div>`;
+}
+
+// marked extensions appending a warning under each paragraph, list text and
+// table that holds a mismatched figure. As with the table export extension,
+// the block itself is rendered by marked: the nested parse sees the token a
+// second time and falls through.
+function createCheckWarningExtension(results) {
+  const failed = results.filter(result => !result.ok);
+  const statements = failed.filter(result => result.kind === 'statement');
+  const shown = new Set();
+  const rendered = new Set();
+  let tableCount = 0;
+
+  const renderWith = (token, parser, warnings) =>
+    parser.parse([token]) + warnings.map(renderWarning).join('\n');
+
+  const blockText = {
+    renderer(token) {
+      if (rendered.has(token) || !token.tokens) return false;
+      const warnings = statements.filter(result => !shown.has(result) && token.raw.includes(result.source));
+      if (!warnings.length) return false;
+      rendered.add(token);
+      warnings.forEach(result => shown.add(result));
+      return renderWith(token, this.parser, warnings);
+    }
+  };
+
+  return [
+    { name: 'paragraph', ...blockText },
+    { name: 'text', ...blockText },
+    {
+      name: 'table',
+      renderer(token) {
+        if (rendered.has(token)) return false;
+        rendered.add(token);
+        const index = ++tableCount;
+        const warnings = failed.filter(result => result.kind === 'table' && result.table === index);
+        return warnings.length ? renderWith(token, this.parser, warnings) : false;
+      }
+    }
+  ];
+}
+
+function generateChecksPage(checks) {
+  const total = checks.reduce((sum, { results }) => sum + results.length, 0);
+  const failed = checks.reduce((sum, { results }) => sum + results.filter(result => !result.ok).length, 0);
+
+  const sections = checks
+    .filter(({ results }) => results.some(result => !result.ok))
+    .map(({ file, results }) => `
+      <section class="tag-note">
+        <h2 class="tag-note-title"><a href="${encodeURIComponent(file.outputName)}.html">${escapeHtml(file.title)}</a></h2>
+        <p class="tag-context-meta">核对 ${results.length} 处，${results.filter(result => !result.ok).length} 处不一致</p>
+        <ul class="check-list">${results.filter(result => !result.ok).map(result => `
+          <li class="check-item">
+            <span class="check-kind">${result.kind === 'table' ? `表 ${result.table}` : '算式'}</span>
+            <code>${escapeHtml(result.text)}</code>
+            <span class="check-stated">写的是 ${escapeHtml(result.stated)}</span>
+            <span class="check-computed">重新计算为 ${escapeHtml(result.computed)}</span>
+          </li>`).join('')}
+        </ul>
+      </section>`).join('\n');
+
+  return generatePage({
+    title: '数字核对',
+    subtitle: `核对了 ${checks.length} 篇笔记中的 ${total} 处计算，${failed} 处不一致`,
+    body: failed ? sections : '<p class="empty-state">所有计算都对得上</p>'
+  });
+}
+
+module.exports = {
+  evaluate,
+  checkLine,
+  checkNote,
+  createCheckWarningExtension,
+  generateChecksPage
+};
@@ -0,0 +1,53 @@
+// Dev-server client: reloads the page when the build rewrites it, keeps the
+// scroll position across reloads and shows build errors as an overlay.
+(function () {
+  var scrollKey = 'dev-scroll:' + location.pathname;
+  var page = decodeURIComponent(location.pathname.replace(/^\//, '')) || 'index.html';
+  if (page.endsWith('/')) page += 'index.html';
+
+  var saved = sessionStorage.getItem(scrollKey);
+  if (saved !== null) {
+    sessionStorage.removeItem(scrollKey);
+    window.addEventListener('load', function () { window.scrollTo(0, Number(saved)); });
+  }
+
+  function reload() {
+    sessionStorage.setItem(scrollKey, String(window.scrollY));
+    location.reload();
+  }
+
+  function showError(error) {
+    var overlay = document.getElementById('dev-error-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'dev-error-overlay';
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:9999;overflow:auto;padding:2rem;' +
+        'background:rgba(15,23,42,0.92);color:#fecaca;font:14px/1.6 ui-monospace,Menlo,Consolas,monospace;';
+      document.body.appendChild(overlay);
+    }
+    overlay.innerHTML = '<h2 style="color:#f87171;margin-bottom:1rem">构建失败</h2><pre style="white-space:pre-wrap"></pre>' +
+      '<p style="color:#94a3b8;margin-top:1rem">修复后保存文件会自动重新构建</p>';
+    overlay.querySelector('pre').textContent = error;
+  }
+
+  function hideError() {
+    var overlay = document.getElementById('dev-error-overlay');
+    if (overlay) overlay.remove();
+  }
+
+  var source = new EventSource('/__dev/events');
+
+  source.addEventListener('built', function (event) {
+    var data = JSON.parse(event.data);
+    var hadError = !!document.getElementById('dev-error-overlay');
+    hideError();
+    var affected = data.changed.some(function (file) {
+      return file === page || file === 'styles.css' || /\.js$/.test(file);
+    });
+    if (affected || hadError) reload();
+  });
+
+  source.addEventListener('build-error', function (event) {
+    showError(JSON.parse(event.data).error);
+  });
+})();
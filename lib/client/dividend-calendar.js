@@ -0,0 +1,30 @@
+// 分红日历. Inlined into dist/dividends.html: splits the dividend dates into
+// upcoming and past against the reader's today rather than the build date.
+(function () {
+  var list = document.querySelector('.dividend-upcoming');
+  if (!list) return;
+
+  function pad(number) {
+    return (number < 10 ? '0' : '') + number;
+  }
+
+  var now = new Date();
+  var today = now.getFullYear() + '-' + pad(now.getMonth() + 1) + '-' + pad(now.getDate());
+
+  var shown = 0;
+  list.querySelectorAll('[data-date]').forEach(function (item) {
+    item.hidden = item.getAttribute('data-date') < today;
+    if (!item.hidden) shown++;
+  });
+
+  document.querySelectorAll('.dividend-table tr[data-date]').forEach(function (row) {
+    row.classList.toggle('is-upcoming', row.getAttribute('data-date') >= today);
+  });
+
+  document.querySelectorAll('[data-today]').forEach(function (element) {
+    element.textContent = today;
+  });
+
+  var empty = document.querySelector('.dividend-empty');
+  if (empty) empty.hidden = shown > 0;
+})();
@@ -0,0 +1,80 @@
+// 股息安全边界计算器. Inlined into dist/safety-margin.html; everything is
+// computed in the browser from the form, nothing is sent anywhere.
+// Same formulas as the spreadsheet in 股息率与股价跌幅安全边界问题.md:
+//   股息 = 分红 / 当前价, 预计分红金额 = 股数 * 分红,
+//   H1股息价格 = 分红 / 目标股息率, H1股息预计盈利 = (H1股息价格 - 当前价) * 股数
+(function () {
+  var form = document.querySelector('[data-calculator="safety-margin"]');
+  if (!form) return;
+
+  var output = document.querySelector('.calculator-results');
+  var moves = [-0.5, -0.4, -0.3, -0.2, -0.1, 0, 0.1, 0.2, 0.3];
+  var years = [1, 2, 3, 4, 5];
+
+  function money(value) {
+    return value.toLocaleString('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  function percent(value) {
+    return (value * 100).toFixed(2) + '%';
+  }
+
+  function signed(value) {
+    return '<span class="' + (value < 0 ? 'is-loss' : 'is-gain') + '">' + money(value) + '</span>';
+  }
+
+  function read(name) {
+    return Number(form.elements[name].value);
+  }
+
+  function render() {
+    var shares = read('shares');
+    var price = read('price');
+    var dividend = read('dividend');
+    var target = read('target') / 100;
+
+    if (!(shares > 0 && price > 0 && dividend >= 0 && target > 0)) {
+      output.innerHTML = '<p class="calculator-error">请填写大于 0 的股数、买入价和目标股息率</p>';
+      return;
+    }
+
+    var cost = shares * price;
+    var yieldNow = dividend / price;
+    var income = shares * dividend;
+    var h1Price = dividend / target;
+    var h1Profit = (h1Price - price) * shares;
+
+    var summary = [
+      ['买入成本', money(cost)],
+      ['当前股息率', percent(yieldNow)],
+      ['预计每年分红金额', money(income)],
+      ['H1 目标股息价格', money(h1Price)],
+      ['到 H1 价格的涨跌幅', percent(h1Price / price - 1)],
+      ['H1 股息预计盈利', signed(h1Profit)],
+      ['盈利 + 一年分红', signed(h1Profit + income)],
+      ['一年分红可抵御的跌幅', percent(yieldNow)]
+    ].map(function (row) {
+      return '<div class="calculator-stat"><span>' + row[0] + '</span><strong>' + row[1] + '</strong></div>';
+    }).join('');
+
+    // Profit/loss including dividends received, for each price move and
+    // number of years held at the current dividend
+    var head = '<tr><th>股价涨跌 \\ 持有年数</th>' + years.map(function (n) {
+      return '<th>' + n + ' 年<br><small>保本跌幅 ' + percent(Math.min(yieldNow * n, 1)) + '</small></th>';
+    }).join('') + '</tr>';
+
+    var rows = moves.map(function (move) {
+      return '<tr><th>' + (move > 0 ? '+' : '') + Math.round(move * 100) + '%<br><small>' + money(price * (1 + move)) + '</small></th>' +
+        years.map(function (n) {
+          return '<td>' + signed(cost * move + income * n) + '</td>';
+        }).join('') + '</tr>';
+    }).join('');
+
+    output.innerHTML = '<div class="calculator-summary">' + summary + '</div>' +
+      '<h2 class="calculator-heading">盈亏表 (含分红)</h2>' +
+      '<div class="calculator-grid-wrap"><table class="calculator-grid"><thead>' + head + '</thead><tbody>' + rows + '</tbody></table></div>';
+  }
+
+  form.addEventListener('input', render);
+  render();
+})();
@@ -0,0 +1,129 @@
+// Search box behaviour. Served as dist/search.js with the build's `tokenize`
+// prepended, so queries are tokenized exactly like the index was.
+// Lazy-loads the index, scores with tf * idf weighted by how many of the
+// query's tokens a note covers, and drives the result list by keyboard.
+/* global tokenize */
+(function () {
+  var index = null;
+  var loading = null;
+
+  function load(root) {
+    if (index) return Promise.resolve(index);
+    if (!loading) {
+      loading = fetch(root + 'search-index.json')
+        .then(function (res) { return res.json(); })
+        .then(function (data) { index = data; return data; });
+    }
+    return loading;
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, function (ch) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+    });
+  }
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function search(query) {
+    var tokens = tokenize(query, index.dictionary);
+    var unique = tokens.filter(function (t, i) { return tokens.indexOf(t) === i; });
+    if (!unique.length) return [];
+
+    var total = index.docs.length;
+    var scores = {};
+    var hits = {};
+    unique.forEach(function (token) {
+      var list = index.postings[token];
+      if (!list) return;
+      var idf = Math.log(1 + total / (list.length / 2));
+      for (var i = 0; i < list.length; i += 2) {
+        scores[list[i]] = (scores[list[i]] || 0) + list[i + 1] * idf;
+        hits[list[i]] = (hits[list[i]] || 0) + 1;
+      }
+    });
+
+    return Object.keys(scores)
+      .map(function (doc) {
+        var coverage = hits[doc] / unique.length;
+        return { doc: index.docs[doc], score: scores[doc] * coverage * coverage };
+      })
+      .sort(function (a, b) { return b.score - a.score; })
+      .slice(0, 20);
+  }
+
+  // Highlight the query (or its pieces) inside a window of the note text
+  function snippet(text, query) {
+    var terms = [query.trim()].concat(query.trim().split(/\s+/))
+      .filter(function (t) { return t; })
+      .sort(function (a, b) { return b.length - a.length; });
+    var lower = text.toLowerCase();
+    var at = -1;
+    for (var i = 0; i < terms.length && at === -1; i++) at = lower.indexOf(terms[i].toLowerCase());
+    if (at === -1) {
+      var cjk = query.replace(/\s+/g, '');
+      for (var j = 0; j < cjk.length - 1 && at === -1; j++) at = lower.indexOf(cjk.substr(j, 2).toLowerCase());
+    }
+    var start = Math.max(0, at - 40);
+    var piece = (start > 0 ? '…' : '') + text.substr(start, 120) + (start + 120 < text.length ? '…' : '');
+    var pattern = terms.map(function (t) { return escapeRegExp(escapeHtml(t)); }).join('|');
+    return escapeHtml(piece).replace(new RegExp('(' + pattern + ')', 'gi'), '<mark>$1</mark>');
+  }
+
+  document.querySelectorAll('[data-search]').forEach(function (box) {
+    var input = box.querySelector('input');
+    var list = box.querySelector('.search-results');
+    var root = box.getAttribute('data-root') || '';
+    var active = -1;
+
+    function select(indexToSelect) {
+      var items = list.querySelectorAll('.search-result');
+      if (!items.length) return;
+      active = (indexToSelect + items.length) % items.length;
+      items.forEach(function (item, i) { item.classList.toggle('is-active', i === active); });
+      items[active].scrollIntoView({ block: 'nearest' });
+    }
+
+    function render() {
+      var query = input.value.trim();
+      active = -1;
+      if (!query) { list.hidden = true; list.innerHTML = ''; return; }
+      load(root).then(function () {
+        if (input.value.trim() !== query) return;
+        var results = search(query);
+        list.innerHTML = results.length
+          ? results.map(function (r) {
+              return '<a class="search-result" href="' + root + r.doc.u + '">' +
+                '<span class="search-result-title">' + snippet(r.doc.t, query) + '</span>' +
+                (r.doc.f ? '<span class="search-result-folder">' + escapeHtml(r.doc.f) + '</span>' : '') +
+                '<span class="search-result-snippet">' + snippet(r.doc.x, query) + '</span></a>';
+            }).join('')
+          : '<div class="search-empty">没有找到相关笔记</div>';
+        list.hidden = false;
+      });
+    }
+
+    input.addEventListener('input', render);
+    input.addEventListener('focus', function () { load(root); if (input.value.trim()) list.hidden = false; });
+    input.addEventListener('keydown', function (event) {
+      if (event.key === 'ArrowDown') { event.preventDefault(); select(active + 1); }
+      else if (event.key === 'ArrowUp') { event.preventDefault(); select(active - 1); }
+      else if (event.key === 'Enter') {
+        var items = list.querySelectorAll('.search-result');
+        var target = items[active] || items[0];
+        if (target) window.location.href = target.href;
+      } else if (event.key === 'Escape') { list.hidden = true; input.blur(); }
+    });
+    document.addEventListener('click', function (event) {
+      if (!box.contains(event.target)) list.hidden = true;
+    });
+    document.addEventListener('keydown', function (event) {
+      if (event.key === '/' && document.activeElement.tagName !== 'INPUT' && document.activeElement.tagName !== 'TEXTAREA') {
+        event.preventDefault();
+        input.focus();
+      }
+    });
+  });
+})();
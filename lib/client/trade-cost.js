@@ -0,0 +1,90 @@
+// 股价计算器. Inlined into dist/trade-cost.html and computed in the browser.
+// Formulas from 网页软件制作/网页2026-02-19.md, with the ¥5 per trade
+// generalised to a fixed fee plus a commission rate, and stamp duty on sells:
+//   买入成本价 = 买入价 × 股数 + 手续费, 卖出到手价 = 卖出价 × 股数 - 手续费 - 印花税
+//   股价波动 = (卖出价 - 买入价) ÷ 买入价, 收益 = 卖出到手价 - 买入成本价
+(function () {
+  var form = document.querySelector('[data-calculator="trade-cost"]');
+  if (!form) return;
+
+  var output = document.querySelector('.calculator-results');
+  var presets = [0.02, 0.04, 0.06, 0.08, 0.1];
+
+  function money(value) {
+    return value.toLocaleString('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  function signed(value, text) {
+    return '<span class="' + (value < 0 ? 'is-loss' : 'is-gain') + '">' + text + '</span>';
+  }
+
+  function read(name) {
+    return Number(form.elements[name].value);
+  }
+
+  function fees(amount, rules) {
+    return rules.fee + amount * rules.commission;
+  }
+
+  function trade(buy, sell, shares, rules) {
+    var cost = buy * shares + fees(buy * shares, rules);
+    var proceeds = sell * shares - fees(sell * shares, rules) - sell * shares * rules.stampDuty;
+    return { cost: cost, proceeds: proceeds, profit: proceeds - cost };
+  }
+
+  function render() {
+    var buy = read('buy');
+    var sell = read('sell');
+    var shares = read('shares');
+    var rules = {
+      fee: read('fee') || 0,
+      commission: (read('commission') || 0) / 100,
+      stampDuty: (read('stampDuty') || 0) / 100
+    };
+
+    // A-share orders are placed in lots of 100 shares
+    var lotError = !(shares > 0 && shares % 100 === 0);
+    form.elements.shares.setAttribute('aria-invalid', lotError ? 'true' : 'false');
+
+    if (lotError) {
+      output.innerHTML = '<p class="calculator-error">买入股数必须是 100 的整数倍</p>';
+      return;
+    }
+    if (!(buy > 0 && sell > 0)) {
+      output.innerHTML = '<p class="calculator-error">请填写大于 0 的买入价和卖出价</p>';
+      return;
+    }
+
+    var result = trade(buy, sell, shares, rules);
+    var move = (sell - buy) / buy;
+
+    var summary = [
+      ['买入成本价', money(result.cost)],
+      ['卖出到手价', money(result.proceeds)],
+      ['股价波动', signed(move, (move * 100).toFixed(2) + '%')],
+      ['收益', signed(result.profit, money(result.profit))],
+      ['收益率', signed(result.profit, (result.profit / result.cost * 100).toFixed(2) + '%')],
+      ['保本卖出价', money((result.cost + rules.fee) / (shares * (1 - rules.commission - rules.stampDuty)))]
+    ].map(function (row) {
+      return '<div class="calculator-stat"><span>' + row[0] + '</span><strong>' + row[1] + '</strong></div>';
+    }).join('');
+
+    var levels = presets.map(function (p) { return p; })
+      .concat(presets.map(function (p) { return -p; }))
+      .map(function (p) {
+        var price = buy * (1 + p);
+        var outcome = trade(buy, price, shares, rules);
+        return '<tr><th>' + (p > 0 ? '涨' : '跌') + Math.round(Math.abs(p) * 100) + '%</th>' +
+          '<td>' + price.toFixed(3) + '</td>' +
+          '<td>' + signed(outcome.profit, money(outcome.profit)) + '</td></tr>';
+      }).join('');
+
+    output.innerHTML = '<div class="calculator-summary">' + summary + '</div>' +
+      '<h2 class="calculator-heading">预设涨跌幅价格</h2>' +
+      '<div class="calculator-grid-wrap"><table class="calculator-grid"><thead><tr><th>涨跌幅</th><th>价格</th><th>按此价卖出收益</th></tr></thead>' +
+      '<tbody>' + levels + '</tbody></table></div>';
+  }
+
+  form.addEventListener('input', render);
+  render();
+})();
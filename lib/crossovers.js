@@ -0,0 +1,200 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+const { OhlcError, resample } = require('./ohlc');
+const { sma } = require('./indicators');
+const { stockFileName } = require('./stocks');
+
+// Moving-average crossovers written the way the notes record them by hand:
+// 周20⬆️周30 (the 20-week line crosses above the 30-week line), 日20⬇️日60,
+// and 三线⬆️ when the 20/30/60 lines are all rising (股票基本原则.md).
+
+const maLines = [20, 30, 60];
+const maPeriods = [
+  { period: 'day', prefix: '日', label: '日K' },
+  { period: 'week', prefix: '周', label: '周K' },
+  { period: 'month', prefix: '月', label: '月K' }
+];
+// The timeline shows this many months back from the latest bar
+const timelineMonths = 12;
+
+const periodLabels = Object.fromEntries(maPeriods.map(({ period, label }) => [period, label]));
+
+const pairs = [];
+maLines.forEach((fast, i) => maLines.slice(i + 1).forEach(slow => pairs.push([fast, slow])));
+
+function crossLabel(prefix, fast, slow, up) {
+  return `${prefix}${fast}${up ? '⬆️' : '⬇️'}${prefix}${slow}`;
+}
+
+// 1 when every line rose this bar, -1 when every line fell, otherwise 0
+function direction(averages, i) {
+  if (i === 0 || averages.some(values => values[i - 1] === null)) return 0;
+  if (averages.every(values => values[i] > values[i - 1])) return 1;
+  if (averages.every(values => values[i] < values[i - 1])) return -1;
+  return 0;
+}
+
+function maSeries(dailyBars, period) {
+  const bars = resample(dailyBars, period);
+  const closes = bars.map(bar => bar.close);
+  const averages = new Map(maLines.map(length => [length, sma(closes, length)]));
+  return { bars, averages };
+}
+
+// Crossover events of one period, oldest first: { date, period, label, kind }
+// with kind 'up' / 'down' for crosses and 'rising' / 'falling' when the
+// three lines start moving together
+function findCrossovers(dailyBars, { period, prefix }) {
+  const { bars, averages } = maSeries(dailyBars, period);
+  const all = [...averages.values()];
+  const events = [];
+
+  for (let i = 1; i < bars.length; i++) {
+    pairs.forEach(([fast, slow]) => {
+      const a = averages.get(fast);
+      const b = averages.get(slow);
+      if (a[i - 1] === null || b[i - 1] === null) return;
+      if (a[i - 1] <= b[i - 1] && a[i] > b[i]) events.push({ date: bars[i].date, period, label: crossLabel(prefix, fast, slow, true), kind: 'up' });
+      if (a[i - 1] >= b[i - 1] && a[i] < b[i]) events.push({ date: bars[i].date, period, label: crossLabel(prefix, fast, slow, false), kind: 'down' });
+    });
+
+    const now = direction(all, i);
+    if (now !== 0 && now !== direction(all, i - 1)) {
+      events.push({ date: bars[i].date, period, label: now > 0 ? '三线⬆️' : '三线⬇️', kind: now > 0 ? 'rising' : 'falling' });
+    }
+  }
+  return events;
+}
+
+// The 周K状态 cell: 三线⬆️ / 三线⬇️ when the lines move together, otherwise
+// the latest cross, plus where the shorter lines sit against the 60 line.
+// Returns a list of parts, or null without 60 bars of history.
+function describeMaState(dailyBars, { period, prefix }) {
+  const { bars, averages } = maSeries(dailyBars, period);
+  const end = bars.length - 1;
+  const slowest = maLines[maLines.length - 1];
+  if (end < 0 || averages.get(slowest)[end] === null) return null;
+
+  const parts = [];
+  const moving = direction([...averages.values()], end);
+  if (moving !== 0) {
+    parts.push(moving > 0 ? '三线⬆️' : '三线⬇️');
+  } else {
+    const crosses = findCrossovers(dailyBars, { period, prefix }).filter(event => event.kind === 'up' || event.kind === 'down');
+    if (crosses.length) parts.push(crosses[crosses.length - 1].label);
+  }
+
+  const slow = averages.get(slowest)[end];
+  const shorter = maLines.slice(0, -1).map(length => averages.get(length)[end]);
+  const names = maLines.slice(0, -1).map(length => `${prefix}${length}`).join('，');
+  if (shorter.every(value => value > slow)) parts.push(`${names}都在${prefix}${slowest}上面`);
+  if (shorter.every(value => value < slow)) parts.push(`${names}都在${prefix}${slowest}下面`);
+  return parts;
+}
+
+function buildCrossovers(stocks, store, { onWarning = () => {} } = {}) {
+  const rows = [];
+  stocks.forEach(stock => {
+    const relPath = store.pathFor(stock);
+    if (!relPath) return;
+    try {
+      const bars = store.load(relPath);
+      rows.push({
+        stock,
+        events: maPeriods.flatMap(options => findCrossovers(bars, options)),
+        states: new Map(maPeriods.map(options => [options.period, describeMaState(bars, options)]))
+      });
+    } catch (error) {
+      if (!(error instanceof OhlcError)) throw error;
+      onWarning(error.message);
+    }
+  });
+  return rows;
+}
+
+function renderTimeline(rows) {
+  const events = rows
+    .flatMap(({ stock, events }) => events.map(event => ({ stock, ...event })))
+    .sort((a, b) => b.date.localeCompare(a.date));
+  if (events.length === 0) return '<p class="empty-state">行情中还没有均线交叉</p>';
+
+  const latest = new Date(`${events[0].date}T00:00:00Z`);
+  latest.setUTCMonth(latest.getUTCMonth() - timelineMonths);
+  const since = latest.toISOString().slice(0, 10);
+
+  const byMonth = new Map();
+  events.filter(event => event.date > since).forEach(event => {
+    const month = event.date.slice(0, 7);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(event);
+  });
+
+  return [...byMonth.entries()].map(([month, monthEvents]) => {
+    const [year, m] = month.split('-');
+    const items = monthEvents.map(event => `
+          <li class="timeline-item">
+            <span class="timeline-date">${Number(m)}月${Number(event.date.slice(8))}日</span>
+            <span class="timeline-kind cross-${event.kind}">${escapeHtml(event.label)}</span>
+            <span class="tag-count">${periodLabels[event.period]}</span>
+            <a href="stocks/${encodeURIComponent(stockFileName(event.stock))}" class="journal-link">${escapeHtml(event.stock.name)}</a>
+          </li>`).join('');
+
+    return `
+      <section class="timeline-month" id="m-${month}">
+        <h2 class="timeline-month-title">${year}年${Number(m)}月 <span class="folder-count">${monthEvents.length} 次</span></h2>
+        <ul class="timeline-list">${items}
+        </ul>
+      </section>`;
+  }).join('\n');
+}
+
+function generateCrossoverPage(rows) {
+  if (rows.length === 0) {
+    return generatePage({
+      title: '均线交叉',
+      subtitle: '日/周/月 20、30、60 均线的交叉和三线同向',
+      body: '<p class="empty-state">data/ohlc/ 下还没有股票行情文件 (每只股票一个 &lt;代码&gt;.csv)</p>'
+    });
+  }
+
+  const cell = parts => (parts ? escapeHtml(parts.join(' / ')) || '-' : '<span class="tag-count">行情不足</span>');
+  const states = rows.map(({ stock, states }) => `
+          <tr>
+            <td><a href="stocks/${encodeURIComponent(stockFileName(stock))}">${escapeHtml(stock.name)}</a></td>
+            ${maPeriods.map(({ period }) => `<td>${cell(states.get(period))}</td>`).join('')}
+          </tr>`).join('');
+
+  const markdown = [
+    '| 股票名称 | 周K状态 |',
+    '| ---- | ---- |',
+    ...rows.filter(({ states }) => states.get('week')).map(({ stock, states }) => `| ${stock.name} | ${states.get('week').join('<br>')} |`)
+  ].join('\n');
+
+  const total = rows.reduce((sum, { events }) => sum + events.length, 0);
+
+  return generatePage({
+    title: '均线交叉',
+    subtitle: `${rows.length} 只股票的日/周/月 20、30、60 均线，共 ${total} 次交叉和三线同向`,
+    body: `<h2 class="calculator-heading">当前状态</h2>
+      <div class="calculator-grid-wrap">
+        <table class="calculator-grid screen-table cross-table">
+          <thead><tr><th>股票名称</th>${maPeriods.map(({ label }) => `<th>${label}</th>`).join('')}</tr></thead>
+          <tbody>${states}
+          </tbody>
+        </table>
+      </div>
+      <h2 class="calculator-heading">周K状态列</h2>
+      <pre class="boll-markdown"><code>${escapeHtml(markdown)}</code></pre>
+      <h2 class="calculator-heading">近 ${timelineMonths} 个月</h2>
+      ${renderTimeline(rows)}`
+  });
+}
+
+module.exports = {
+  maLines,
+  maPeriods,
+  findCrossovers,
+  describeMaState,
+  buildCrossovers,
+  generateCrossoverPage
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+const { OhlcError } = require('./ohlc');
+const { stockFileName } = require('./stocks');
+
+// Dividend calendar of the watchlist: the 股权登记日, 除权除息日 and 派送日 of
+// every dividend table in the notes (and data/dividends/), as a page and as
+// dividends.ics for phone calendars. Expected cash uses the `shares` held
+// in data/stocks.yml, else the newest 持仓 table in the notes. The page is split into upcoming and past dates as of
+// the build; lib/client/dividend-calendar.js redoes the split against the
+// reader's today.
+
+const dateKinds = [
+  { key: 'record', label: '股权登记日' },
+  { key: 'date', label: '除权除息日' },
+  { key: 'paid', label: '派送日' }
+];
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function localToday() {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// Per-10-share wording of the notes: 每10股派8.0元 送转3股
+function describeAmount(event) {
+  const parts = [];
+  if (event.cash) parts.push(`每10股派${Number((event.cash * 10).toPrecision(12))}元`);
+  if (event.bonus) parts.push(`送转${Number((event.bonus * 10).toPrecision(12))}股`);
+  return parts.join(' ');
+}
+
+function expectedCash(shares, event) {
+  return shares ? shares * event.cash : null;
+}
+
+const nameColumn = /^(股票名称|股票|名称)$/;
+const sharesColumn = /^(持股|持仓|持有|股数|持股数|持仓数|持有股数|持仓股数|持仓数量)(（股）|\(股\))?$/;
+
+// Shares held per stock from the notes' 持仓 tables (a stock name column
+// and a 持股数 column): Map stock -> { shares, file }, the newest note
+// winning. 0 records a position that was sold.
+function extractHoldings(tableExports, stocks) {
+  const holdings = new Map();
+
+  [...tableExports]
+    .sort((a, b) => (b.file.date || b.file.mtime) - (a.file.date || a.file.mtime))
+    .forEach(({ file, tables }) => tables.forEach(table => {
+      const nameIndex = table.columns.findIndex(column => nameColumn.test(column.name));
+      const sharesIndex = table.columns.findIndex(column => sharesColumn.test(column.name.replace(/\s+/g, '')));
+      if (nameIndex === -1 || sharesIndex === -1) return;
+
+      table.rows.forEach(row => {
+        const name = row[nameIndex] ? row[nameIndex].text.split('\n')[0] : '';
+        const stock = stocks.lookup(name) || stocks.find(name)[0];
+        const cell = row[sharesIndex];
+        if (!stock || !cell || cell.type !== 'number' || cell.value < 0 || holdings.has(stock)) return;
+        holdings.set(stock, { shares: cell.value, file });
+      });
+    }));
+
+  return holdings;
+}
+
+// Stocks with dividend events, each event newest first, and the shares held
+// (`holding` is the note they come from, null for data/stocks.yml). A
+// dividend file that cannot be read skips that stock with a warning.
+function buildDividendCalendar(stocks, store, { holdings = new Map(), onWarning = () => {} } = {}) {
+  const rows = [];
+  stocks.forEach(stock => {
+    try {
+      const events = store.dividendsFor(stock).slice().reverse();
+      if (events.length === 0) return;
+      const held = stock.shares ? null : holdings.get(stock);
+      rows.push({ stock, events, shares: held ? held.shares : stock.shares, holding: held ? held.file : null });
+    } catch (error) {
+      if (!(error instanceof OhlcError)) throw error;
+      onWarning(error.message);
+    }
+  });
+  return rows;
+}
+
+// One entry per calendar day of each event; days shared by several kinds
+// (除权除息日 and 派送日 are often the same) are merged. Oldest first.
+function calendarEntries(rows) {
+  const entries = [];
+  rows.forEach(({ stock, events, shares }) => events.forEach(event => {
+    const byDate = new Map();
+    dateKinds.forEach(({ key, label }) => {
+      if (!event[key]) return;
+      if (!byDate.has(event[key])) byDate.set(event[key], []);
+      byDate.get(event[key]).push(label);
+    });
+    byDate.forEach((labels, date) => entries.push({ stock, event, date, labels, shares }));
+  }));
+  return entries.sort((a, b) => a.date.localeCompare(b.date) || a.stock.name.localeCompare(b.stock.name));
+}
+
+function money(value) {
+  return value === null ? '-' : value.toLocaleString('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function noteLink(event) {
+  return event.file ? `<a href="${encodeURIComponent(event.file.outputName)}.html">${escapeHtml(event.file.title)}</a>` : 'data/dividends';
+}
+
+function generateDividendCalendarPage(rows, { today = localToday() } = {}) {
+  if (rows.length === 0) {
+    return generatePage({
+      title: '分红日历',
+      subtitle: '股权登记日、除权除息日和派送日',
+      body: '<p class="empty-state">笔记的分红表格和 data/dividends/ 中还没有分红记录</p>'
+    });
+  }
+
+  // Past dates are listed too, hidden, for the client script to show
+  const entries = calendarEntries(rows);
+  const upcoming = entries.filter(entry => entry.date >= today);
+  const upcomingList = `<p class="tag-context-meta">截至 <span data-today>${today}</span></p>
+      <ul class="timeline-list dividend-upcoming">${entries.map(({ stock, event, date, labels, shares }) => `
+          <li class="timeline-item" data-date="${date}"${date < today ? ' hidden' : ''}>
+            <span class="timeline-date">${date}</span>
+            <span class="timeline-kind">${labels.join(' / ')}</span>
+            <a href="stocks/${encodeURIComponent(stockFileName(stock))}" class="journal-link">${escapeHtml(stock.name)}</a>
+            <span class="tag-count">${escapeHtml(describeAmount(event))}${shares ? ` · 预计 ${money(expectedCash(shares, event))} 元` : ''}</span>
+          </li>`).join('')}
+      </ul>
+      <p class="empty-state dividend-empty"${upcoming.length ? ' hidden' : ''}><span data-today>${today}</span> 之后还没有已公告的分红日期</p>`;
+
+  const held = rows.filter(({ shares }) => shares);
+  const sections = rows.map(({ stock, events, shares, holding }) => {
+    const lines = events.map(event => `
+            <tr data-date="${event.date}"${event.date >= today ? ' class="is-upcoming"' : ''}>
+              <td>${escapeHtml(event.year || '')}</td>
+              <td>${event.announced || '-'}</td>
+              <td>${event.record || '-'}</td>
+              <td>${event.date}</td>
+              <td>${event.paid || '-'}</td>
+              <td>${Number(event.cash.toPrecision(12))}</td>
+              <td>${event.bonus ? Number(event.bonus.toPrecision(12)) : '-'}</td>
+              ${shares ? `<td>${money(expectedCash(shares, event))}</td>` : ''}
+              <td>${noteLink(event)}</td>
+            </tr>`).join('');
+
+    return `
+      <section class="tag-note">
+        <h2 class="tag-note-title"><a href="stocks/${encodeURIComponent(stockFileName(stock))}">${escapeHtml(stock.name)}</a>${stock.code ? ` <span class="tag-count">${stock.code}</span>` : ''}</h2>
+        ${shares ? `<p class="tag-context-meta">持有 ${shares} 股${holding ? `，据 ${noteLink({ file: holding })}` : ''}</p>` : ''}
+        <div class="calculator-grid-wrap">
+          <table class="calculator-grid dividend-table">
+            <thead><tr><th>年度</th><th>公告日期</th><th>股权登记日</th><th>除权除息日</th><th>派送日</th><th>每股分红 (元)</th><th>每股送转</th>${shares ? '<th>预计到账 (元)</th>' : ''}<th>来源</th></tr></thead>
+            <tbody>${lines}
+            </tbody>
+          </table>
+        </div>
+      </section>`;
+  }).join('\n');
+
+  return generatePage({
+    title: '分红日历',
+    subtitle: `${rows.length} 只股票的 ${rows.reduce((sum, { events }) => sum + events.length, 0)} 次分红${held.length ? `，其中 ${held.length} 只有持仓` : ''} · <a href="dividends.ics" download>下载 dividends.ics</a> 导入手机日历`,
+    body: `<h2 class="calculator-heading">即将到来</h2>
+      ${upcomingList}
+      ${sections}`,
+    scripts: `<script>${fs.readFileSync(path.join(__dirname, 'client', 'dividend-calendar.js'), 'utf-8')}</script>`
+  });
+}
+
+// iCalendar text values escape backslashes, commas, semicolons and newlines
+function icsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/[,;]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded, continuing with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return icsDate(day.toISOString().slice(0, 10));
+}
+
+// All-day events, one per entry of calendarEntries. UIDs and stamps derive
+// from the data so unchanged dividends give an unchanged file.
+function dividendIcs(rows) {
+  const events = calendarEntries(rows).map(({ stock, event, date, labels, shares }) => {
+    const cash = expectedCash(shares, event);
+    const description = [
+      event.year ? `年度: ${event.year}` : '',
+      `除权除息日: ${event.date}`,
+      event.record ? `股权登记日: ${event.record}` : '',
+      event.paid ? `派送日: ${event.paid}` : '',
+      cash === null ? '' : `持有 ${shares} 股，预计到账 ${cash.toFixed(2)} 元`
+    ].filter(Boolean).join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${stock.code || stock.name}-${event.date}-${icsDate(date)}@stock-document`,
+      `DTSTAMP:${icsDate(event.announced || event.date)}T000000Z`,
+      `DTSTART;VALUE=DATE:${icsDate(date)}`,
+      `DTEND;VALUE=DATE:${nextDay(date)}`,
+      `SUMMARY:${icsText(`${stock.name} ${labels.join('/')} ${describeAmount(event)}`)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      'END:VEVENT'
+    ];
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//stock_document//dividends//ZH',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:分红日历',
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  extractHoldings,
+  buildDividendCalendar,
+  calendarEntries,
+  generateDividendCalendarPage,
+  dividendIcs
+};
@@ -0,0 +1,79 @@
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp'];
+
+const embedPattern = /^!\[\[([^[\]\n]+?)\]\]/;
+
+// Split the inside of ![[...]] into the target file and its display option.
+// Obsidian accepts `|400` (width), `|400x300` (width and height) and
+// `| 540` with stray spaces; anything else after the pipe is alt text.
+function parseEmbed(inner) {
+  const [rawTarget, ...rest] = inner.split('|');
+  const option = rest.join('|').trim();
+  const size = option.match(/^(\d+)(?:\s*x\s*(\d+))?$/i);
+
+  return {
+    target: rawTarget.split('#')[0].trim(),
+    width: size ? Number(size[1]) : null,
+    height: size && size[2] ? Number(size[2]) : null,
+    alt: size ? '' : option
+  };
+}
+
+function isImage(file) {
+  return imageExtensions.includes(path.extname(file).toLowerCase());
+}
+
+// Encode each path segment so CJK names and spaces survive as URLs
+function defaultAssetUrl(file) {
+  return file.split('/').map(encodeURIComponent).join('/');
+}
+
+// marked inline extension resolving Obsidian `![[file]]` embeds against the
+// vault index. Targets that are notes rather than attachments are handed to
+// `renderNoteEmbed`; anything still unresolved is reported through
+// `onMissing` and rendered as a visible placeholder.
+function createEmbedExtension(vault, {
+  assetUrl = defaultAssetUrl,
+  renderNoteEmbed = () => null,
+  onMissing = () => {}
+} = {}) {
+  return {
+    name: 'obsidianEmbed',
+    level: 'inline',
+    start(src) {
+      const index = src.indexOf('![[');
+      return index === -1 ? undefined : index;
+    },
+    tokenizer(src) {
+      const match = embedPattern.exec(src);
+      if (!match) return undefined;
+
+      return { type: 'obsidianEmbed', raw: match[0], ...parseEmbed(match[1]) };
+    },
+    renderer(token) {
+      const resolved = vault.resolve(token.target);
+      if (!resolved) {
+        const noteHtml = renderNoteEmbed(token.target);
+        if (noteHtml) return noteHtml;
+
+        onMissing(token.target);
+        return `<span class="embed-missing" title="附件不存在">缺少附件: ${escapeHtml(token.target)}</span>`;
+      }
+
+      const url = escapeHtml(assetUrl(resolved));
+      const label = escapeHtml(token.alt || path.posix.basename(resolved, path.extname(resolved)));
+
+      if (!isImage(resolved)) {
+        return `<a href="${url}" class="embed-file">${label}</a>`;
+      }
+
+      const width = token.width ? ` width="${token.width}"` : '';
+      const height = token.height ? ` height="${token.height}"` : '';
+      return `<img src="${url}" alt="${label}"${width}${height} loading="lazy">`;
+    }
+  };
+}
+
+module.exports = { createEmbedExtension, parseEmbed, isImage };
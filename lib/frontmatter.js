@@ -0,0 +1,61 @@
+const matter = require('gray-matter');
+
+// Accept YAML lists, comma/space separated strings and `#tag` spellings
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[,，\s]+/);
+  return items
+    .map(item => String(item).trim().replace(/^#/, ''))
+    .filter(Boolean);
+}
+
+// Aliases may contain spaces, so only commas separate them
+function toAliases(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[,，]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(String(value).replace(/\//g, '-'));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Split a note into its YAML front matter and markdown body, normalizing the
+// fields the site understands. Notes with broken front matter are published
+// as-is, with a warning, rather than failing the whole build.
+function parseFrontMatter(raw, label) {
+  let parsed;
+  try {
+    parsed = matter(raw);
+  } catch (err) {
+    console.warn(`Warning: ignoring invalid front matter in ${label}: ${err.reason || err.message}`);
+    return { content: raw, meta: parseFrontMatter('').meta };
+  }
+
+  const data = parsed.data || {};
+  const cover = data.cover ? String(data.cover).trim().replace(/^!?\[\[|\]\]$/g, '').split('|')[0].trim() : null;
+
+  return {
+    content: parsed.content,
+    meta: {
+      title: data.title ? String(data.title) : null,
+      date: toDate(data.date),
+      description: data.description ? String(data.description) : null,
+      tags: toList(data.tags || data.tag),
+      aliases: toAliases(data.aliases || data.alias),
+      draft: data.draft === true || data.draft === 'true',
+      order: toNumber(data.order),
+      cover
+    }
+  };
+}
+
+module.exports = { parseFrontMatter };
@@ -0,0 +1,77 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+function git(rootDir, args) {
+  return execFileSync('git', ['-c', 'core.quotepath=off', ...args], {
+    cwd: rootDir,
+    encoding: 'utf-8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+}
+
+// First and last commit date of every file under rootDir, from one walk of
+// the history: Map(relative POSIX path -> { created, updated }). Files with
+// uncommitted edits are flagged `dirty` so the caller can prefer mtime.
+// Returns null when rootDir is not inside a git work tree.
+function readGitDates(rootDir) {
+  let log;
+  try {
+    log = git(rootDir, ['log', '--relative', '--format=%x00%cI', '--name-only']);
+  } catch (err) {
+    return null;
+  }
+
+  const dates = new Map();
+  let current = null;
+
+  // Newest commit first: the first date seen is the update, the last the creation
+  for (const line of log.split('\n')) {
+    if (line.startsWith('\0')) {
+      current = new Date(line.slice(1));
+    } else if (line.trim() && current) {
+      const entry = dates.get(line);
+      if (entry) {
+        entry.created = current;
+      } else {
+        dates.set(line, { created: current, updated: current, dirty: false });
+      }
+    }
+  }
+
+  try {
+    git(rootDir, ['diff', '--name-only', '--relative', 'HEAD'])
+      .split('\n')
+      .filter(Boolean)
+      .forEach(file => {
+        if (dates.has(file)) dates.get(file).dirty = true;
+      });
+
+    if (git(rootDir, ['rev-parse', '--is-shallow-repository']).trim() === 'true') {
+      console.warn('Warning: shallow git clone, created dates only reach back to the oldest fetched commit');
+    }
+  } catch (err) {
+    // A repository without commits has no HEAD; the log above is then empty
+  }
+
+  return dates;
+}
+
+// Set `created` and `mtime` on file entries from git history, falling back to
+// the filesystem for untracked files, edited files and non-git checkouts
+function applyFileDates(files, gitDates, rootDir) {
+  for (const file of files) {
+    const relPath = path.relative(rootDir, file.fullPath).split(path.sep).join('/');
+    const entry = gitDates && gitDates.get(relPath);
+
+    if (!entry) {
+      file.created = file.created || file.mtime;
+      continue;
+    }
+
+    file.created = entry.created;
+    file.mtime = entry.dirty ? file.mtime : entry.updated;
+  }
+}
+
+module.exports = { readGitDates, applyFileDates };
@@ -0,0 +1,134 @@
+const { escapeHtml } = require('./html');
+const { renderChart, chartSpec } = require('./charts');
+const { dateKey } = require('./journal');
+
+const nameColumn = /^(股票名称|股票|名称)$/;
+// The price column is headed by the snapshot's MMDD (0303, 0310 …)
+const priceColumn = /^(\d{4}|现价|股价|当前价)$/;
+const yieldColumn = /^股息率$/;
+// Columns that identify the row rather than describe the stock's state
+const identityColumn = /^(行业|序号|上涨|第.梯队)$/;
+
+function cellDisplay(cell) {
+  return cell.text.replace(/\n/g, ' / ');
+}
+
+// One watchlist row as a snapshot: price, dividend yield and the text of
+// every status column
+function rowSnapshot(columns, row) {
+  const snapshot = { price: null, yield: null, fields: new Map() };
+
+  columns.forEach((column, i) => {
+    const cell = row[i];
+    if (!cell || cell.type === 'empty' || nameColumn.test(column.name) || identityColumn.test(column.name)) return;
+
+    if (priceColumn.test(column.name) && cell.type === 'number') {
+      if (snapshot.price === null) snapshot.price = cell.value;
+    } else if (yieldColumn.test(column.name) && cell.type === 'percent') {
+      if (snapshot.yield === null) snapshot.yield = cell.value;
+    } else if (column.type !== 'number' && !snapshot.fields.has(column.name)) {
+      snapshot.fields.set(column.name, cellDisplay(cell));
+    }
+  });
+
+  return snapshot;
+}
+
+// Line up watchlist rows by stock across every daily note (tables exported
+// by lib/tables) into Map(stock -> { snapshots, changes }). Snapshots are
+// oldest first; changes record each status field whose text differs from
+// the stock's previous snapshot.
+function buildStockHistory(tableExports, stocks) {
+  const byStock = new Map();
+
+  tableExports
+    .filter(({ file }) => file.noteDate && file.noteDate.day !== null)
+    .forEach(({ file, tables }) => {
+      const date = dateKey(file.noteDate);
+
+      tables.forEach(table => {
+        const nameIndex = table.columns.findIndex(column => nameColumn.test(column.name));
+        if (nameIndex === -1) return;
+
+        table.rows.forEach(row => {
+          const name = row[nameIndex] ? row[nameIndex].text.split('\n')[0] : '';
+          const stock = stocks.lookup(name) || stocks.find(name)[0];
+          if (!stock) return;
+
+          if (!byStock.has(stock)) byStock.set(stock, new Map());
+          const snapshots = byStock.get(stock);
+
+          // A stock listed in two tables of one note keeps the first row
+          if (!snapshots.has(date)) {
+            snapshots.set(date, { date, file, ...rowSnapshot(table.columns, row) });
+          }
+        });
+      });
+    });
+
+  const history = new Map();
+  byStock.forEach((snapshotsByDate, stock) => {
+    const snapshots = [...snapshotsByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    const changes = [];
+    const last = new Map();
+
+    snapshots.forEach(snapshot => {
+      snapshot.fields.forEach((value, field) => {
+        if (last.has(field) && last.get(field) !== value) {
+          changes.push({ date: snapshot.date, file: snapshot.file, field, from: last.get(field), to: value });
+        }
+        last.set(field, value);
+      });
+    });
+
+    history.set(stock, { snapshots, changes });
+  });
+
+  return history;
+}
+
+// Price and dividend yield trend charts plus the change log, newest change
+// first, for a stock page under stocks/
+function renderStockHistory(history) {
+  if (!history || history.snapshots.length === 0) return '';
+
+  const { snapshots, changes } = history;
+  const labels = snapshots.map(snapshot => snapshot.date.slice(5));
+  const charts = [];
+
+  if (snapshots.some(snapshot => snapshot.price !== null)) {
+    charts.push(renderChart(chartSpec({
+      labels,
+      series: [{ title: '价格', data: snapshots.map(snapshot => snapshot.price) }],
+      width: '100%'
+    })));
+  }
+  if (snapshots.some(snapshot => snapshot.yield !== null)) {
+    charts.push(renderChart(chartSpec({
+      labels,
+      series: [{ title: '股息率 (%)', data: snapshots.map(snapshot => (snapshot.yield === null ? null : Number((snapshot.yield * 100).toFixed(4)))) }],
+      width: '100%'
+    })));
+  }
+
+  const log = [...changes].reverse().map(change => `
+          <li class="history-change">
+            <a href="../${encodeURIComponent(change.file.outputName)}.html" class="history-date">${change.date}</a>
+            <span class="history-field">${escapeHtml(change.field)}:</span>
+            <span class="history-from">${escapeHtml(change.from)}</span>
+            <span class="history-arrow">→</span>
+            <span class="history-to">${escapeHtml(change.to)}</span>
+          </li>`).join('');
+
+  return `
+      <section class="stock-history">
+        <h2 class="stock-history-title">表格历史 <span class="folder-count">${snapshots.length} 个快照 · ${snapshots[0].date} 至 ${snapshots[snapshots.length - 1].date}</span></h2>
+        <div class="stock-history-charts">${charts.join('')}</div>
+        ${changes.length
+          ? `<ul class="history-log">${log}
+        </ul>`
+          : '<p class="tag-context-meta">状态字段在这段时间没有变化</p>'}
+      </section>`;
+}
+
+module.exports = { buildStockHistory, renderStockHistory };
@@ -0,0 +1,59 @@
+// Technical indicators over arrays of numbers, matching the definitions used
+// by 同花顺/通达信 so values line up with the screenshots in the notes.
+// Positions without enough history are null.
+
+// Simple moving average (MA20, MA30, MA60 …)
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+// Exponential moving average seeded with the first value, as the Chinese
+// charting software does (EMA = (2 × X + (N - 1) × EMA') / (N + 1))
+function ema(values, period) {
+  const result = [];
+  values.forEach((value, i) => {
+    result.push(i === 0 ? value : (2 * value + (period - 1) * result[i - 1]) / (period + 1));
+  });
+  return result;
+}
+
+// Population standard deviation of the trailing window
+function stdev(values, period) {
+  const means = sma(values, period);
+  return values.map((value, i) => {
+    if (means[i] === null) return null;
+    let sum = 0;
+    for (let j = i - period + 1; j <= i; j++) sum += Math.pow(values[j] - means[i], 2);
+    return Math.sqrt(sum / period);
+  });
+}
+
+// Bollinger bands BOLL(20, 2): the 周上/周中/周下 lines on weekly charts
+function boll(closes, period = 20, width = 2) {
+  const mid = sma(closes, period);
+  const deviation = stdev(closes, period);
+  return {
+    upper: mid.map((value, i) => (value === null ? null : value + width * deviation[i])),
+    mid,
+    lower: mid.map((value, i) => (value === null ? null : value - width * deviation[i]))
+  };
+}
+
+// MACD(12, 26, 9). The histogram is 2 × (DIF - DEA), the 红柱/绿柱 of the
+// Chinese charts, rather than the unscaled Western version.
+function macd(closes, fast = 12, slow = 26, signal = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const dif = closes.map((_, i) => fastEma[i] - slowEma[i]);
+  const dea = ema(dif, signal);
+  return { dif, dea, histogram: dif.map((value, i) => 2 * (value - dea[i])) };
+}
+
+module.exports = { sma, ema, boll, macd };
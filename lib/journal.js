@@ -0,0 +1,206 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+
+const weekdays = ['一', '二', '三', '四', '五', '六', '日'];
+
+function validDate(year, month, day) {
+  if (year < 1990 || year > 2099 || month < 1 || month > 12) return false;
+  if (day === null) return true;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Find a YYYY-MM-DD, YYYYMMDD or YYYYMM date inside a file or folder name.
+// Returns { year, month, day } (day is null for month-only names) or null.
+function parseDateFromText(text) {
+  const patterns = [
+    /(?<!\d)(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/,
+    /(?<!\d)(\d{4})(\d{2})(\d{2})(?!\d)/,
+    /(?<!\d)(\d{4})(\d{2})(?!\d)/
+  ];
+
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (!match) continue;
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const day = match[3] ? Number(match[3]) : null;
+    if (validDate(year, month, day)) return { year, month, day };
+  }
+
+  return null;
+}
+
+// Date of a note from its name, completed by a YYYYMM folder when the name
+// only carries the day (e.g. 202601/07.md)
+function parseNoteDate(name, folder) {
+  const fromName = parseDateFromText(name);
+  if (fromName) return fromName;
+
+  const fromFolder = parseDateFromText(folder.split(/[/\\]/).pop() || '');
+  const day = /^\d{1,2}$/.test(name) ? Number(name) : null;
+  if (fromFolder && day && validDate(fromFolder.year, fromFolder.month, day)) {
+    return { year: fromFolder.year, month: fromFolder.month, day };
+  }
+  return null;
+}
+
+// Daily journals are named by the date alone; weekly analyses are 周K分析_*
+function classifyNote(file, date) {
+  if (/^\d{4}-\d{1,2}-\d{1,2}$|^\d{8}$|^\d{1,2}$/.test(file.name) && date.day !== null) return 'journal';
+  if (/^周K分析/.test(file.name)) return 'weekly';
+  return 'dated';
+}
+
+const kindLabels = { journal: '日记', weekly: '周K分析', dated: '笔记' };
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function dateKey({ year, month, day }) {
+  return day === null ? `${year}-${pad(month)}` : `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function toUtcDate({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day || 1));
+}
+
+// Every dated note, oldest first, with prev/next links between journals
+function buildJournal(files) {
+  const entries = files
+    .filter(file => file.noteDate)
+    .map(file => ({ file, date: file.noteDate, key: dateKey(file.noteDate), kind: classifyNote(file, file.noteDate) }))
+    .sort((a, b) => a.key.localeCompare(b.key) || a.file.title.localeCompare(b.file.title, 'zh-CN'));
+
+  const journals = entries.filter(entry => entry.kind === 'journal');
+  const neighbours = new Map();
+  journals.forEach((entry, i) => {
+    neighbours.set(entry.file.outputName, {
+      prev: journals[i - 1] || null,
+      next: journals[i + 1] || null
+    });
+  });
+
+  return { entries, neighbours };
+}
+
+function entryLink(entry, root = '') {
+  return `<a href="${root}${encodeURIComponent(entry.file.outputName)}.html" class="journal-link journal-${entry.kind}">${escapeHtml(entry.file.title)}</a>`;
+}
+
+function generateTimelinePage({ entries }) {
+  const byMonth = new Map();
+  [...entries].reverse().forEach(entry => {
+    const month = `${entry.date.year}-${pad(entry.date.month)}`;
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(entry);
+  });
+
+  const sections = [...byMonth.entries()].map(([month, monthEntries]) => {
+    const [year, m] = month.split('-');
+    const items = monthEntries.map(entry => `
+          <li class="timeline-item">
+            <span class="timeline-date">${entry.date.day === null ? '整月' : `${Number(m)}月${entry.date.day}日`}</span>
+            <span class="timeline-kind timeline-kind-${entry.kind}">${kindLabels[entry.kind]}</span>
+            ${entryLink(entry)}
+          </li>`).join('');
+
+    return `
+      <section class="timeline-month" id="m-${month}">
+        <h2 class="timeline-month-title">${year}年${Number(m)}月 <span class="folder-count">${monthEntries.length} 篇</span></h2>
+        <ul class="timeline-list">${items}
+        </ul>
+      </section>`;
+  }).join('\n');
+
+  return generatePage({
+    title: '时间线',
+    subtitle: `${entries.length} 篇带日期的笔记 · <a href="calendar.html">日历视图</a>`,
+    body: entries.length ? sections : '<p class="empty-state">还没有带日期的笔记</p>'
+  });
+}
+
+// Monday-first month grid; the last column lists the weekly analyses
+// dated within that week
+function renderMonth(year, month, byDay) {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const lead = (first.getUTCDay() + 6) % 7;
+
+  const cells = [];
+  for (let i = 0; i < lead; i++) cells.push(null);
+  for (let day = 1; day <= daysInMonth; day++) cells.push(day);
+  while (cells.length % 7) cells.push(null);
+
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    const week = cells.slice(i, i + 7);
+    const weekly = [];
+
+    const days = week.map(day => {
+      if (day === null) return '<td class="calendar-day is-empty"></td>';
+      const dayEntries = byDay.get(dateKey({ year, month, day })) || [];
+      weekly.push(...dayEntries.filter(entry => entry.kind === 'weekly'));
+      const links = dayEntries.filter(entry => entry.kind !== 'weekly').map(entry => entryLink(entry)).join('');
+      return `<td class="calendar-day${dayEntries.length ? ' has-entries' : ''}"><span class="calendar-day-number">${day}</span>${links}</td>`;
+    }).join('');
+
+    rows.push(`<tr>${days}<td class="calendar-week">${weekly.map(entry => entryLink(entry)).join('')}</td></tr>`);
+  }
+
+  return `
+      <section class="calendar-month" id="m-${year}-${pad(month)}">
+        <h2 class="timeline-month-title">${year}年${month}月</h2>
+        <table class="calendar">
+          <thead><tr>${weekdays.map(d => `<th>${d}</th>`).join('')}<th>周K</th></tr></thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>
+      </section>`;
+}
+
+function generateCalendarPage({ entries }) {
+  const daily = entries.filter(entry => entry.date.day !== null);
+  const byDay = new Map();
+  daily.forEach(entry => {
+    if (!byDay.has(entry.key)) byDay.set(entry.key, []);
+    byDay.get(entry.key).push(entry);
+  });
+
+  const months = [...new Set(daily.map(entry => `${entry.date.year}-${pad(entry.date.month)}`))].sort().reverse();
+  const body = months.map(month => {
+    const [year, m] = month.split('-').map(Number);
+    return renderMonth(year, m, byDay);
+  }).join('\n');
+
+  return generatePage({
+    title: '日历',
+    subtitle: `${months.length} 个月 · <a href="timeline.html">时间线视图</a>`,
+    body: months.length ? body : '<p class="empty-state">还没有带日期的笔记</p>'
+  });
+}
+
+// Previous/next journal links shown above and below a journal page
+function renderJournalNav(neighbours) {
+  if (!neighbours) return '';
+  const link = (entry, label, className) => (entry
+    ? `<a href="${encodeURIComponent(entry.file.outputName)}.html" class="journal-nav-link ${className}">${label} ${escapeHtml(entry.file.title)}</a>`
+    : `<span class="journal-nav-link ${className} is-disabled">${label}</span>`);
+
+  return `<nav class="journal-nav">
+          ${link(neighbours.prev, '← 前一天', 'journal-nav-prev')}
+          <a href="calendar.html" class="journal-nav-calendar">日历</a>
+          ${link(neighbours.next, '后一天 →', 'journal-nav-next')}
+        </nav>`;
+}
+
+module.exports = {
+  parseDateFromText,
+  parseNoteDate,
+  toUtcDate,
+  dateKey,
+  buildJournal,
+  generateTimelinePage,
+  generateCalendarPage,
+  renderJournalNav
+};
@@ -0,0 +1,253 @@
+const yaml = require('js-yaml');
+const { escapeHtml } = require('./html');
+const { niceScale } = require('./charts');
+const { OhlcError, resample } = require('./ohlc');
+const { sma, boll, macd } = require('./indicators');
+
+// ```kline blocks draw a candlestick chart from a CSV kept in the repo:
+//
+//   ```kline
+//   stock: 长江电力          # dictionary name; picks data/ohlc/<code>.csv
+//   csv: data/ohlc/600900.csv  # or an explicit path from the vault root
+//   period: week             # day / week / month (日/周/月)
+//   from: 2025-06-01         # optional range; default the last 120 bars
+//   to: 2026-01-26
+//   overlays: [BOLL, MA20, MA30, MA60, MACD]
+//   adjust: 前复权           # 除权 / 前复权 / 后复权; default as in lib/adjust.js
+//   ```
+
+class KlineError extends Error {}
+
+const periods = { day: 'day', 日: 'day', 日k: 'day', week: 'week', 周: 'week', 周k: 'week', month: 'month', 月: 'month', 月k: 'month' };
+const periodLabels = { day: '日K', week: '周K', month: '月K' };
+const defaultBars = 120;
+
+// Chinese charts: red for up, green for down
+const upColor = '#dc2626';
+const downColor = '#16a34a';
+const overlayColors = ['#f59e0b', '#7c3aed', '#0891b2', '#db2777', '#2563eb'];
+const bollColors = { upper: '#7c3aed', mid: '#f59e0b', lower: '#0891b2' };
+
+const width = 640;
+const margin = { top: 36, right: 16, bottom: 28, left: 56 };
+const priceHeight = 300;
+const macdHeight = 110;
+
+function toDateString(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  const match = /^(\d{4})[-/.]?(\d{1,2})[-/.]?(\d{1,2})$/.exec(String(value).trim());
+  if (!match) throw new KlineError(`${field} 不是有效日期: ${value}`);
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+}
+
+// Parse and validate a ```kline block. `stocks` is the stock dictionary
+// index and `store` the adjusted price store (lib/adjust.js). Throws KlineError.
+function parseKlineBlock(source, { stocks, store }) {
+  let spec;
+  try {
+    spec = yaml.safeLoad(source);
+  } catch (err) {
+    throw new KlineError(`YAML 解析失败: ${err.reason || err.message}`);
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new KlineError('K线配置必须是 YAML 对象');
+  }
+
+  const stock = spec.stock ? stocks.lookup(String(spec.stock).trim()) : null;
+  if (spec.stock && !stock && !spec.csv) {
+    throw new KlineError(`股票词典中没有 ${spec.stock}，请在 data/stocks.yml 中添加或写明 csv 路径`);
+  }
+
+  const csv = spec.csv ? String(spec.csv).trim() : stock && store.pathFor(stock);
+  if (!csv) {
+    throw new KlineError(spec.stock ? `没有 ${spec.stock} 的行情文件 data/ohlc/${stock.code}.csv` : '需要 stock 或 csv');
+  }
+
+  const period = periods[String(spec.period || 'day').trim().toLowerCase()];
+  if (!period) throw new KlineError(`不支持的周期 "${spec.period}"，可用: day, week, month`);
+
+  const overlays = (Array.isArray(spec.overlays) ? spec.overlays : String(spec.overlays || '').split(/[,，\s]+/))
+    .map(item => String(item).trim().toUpperCase())
+    .filter(Boolean);
+  overlays.forEach(item => {
+    if (!/^(BOLL|MACD|MA\d+)$/.test(item)) throw new KlineError(`不支持的指标 "${item}"，可用: BOLL, MACD, MA<天数>`);
+  });
+
+  let bars;
+  let adjustment;
+  try {
+    const adjust = spec.adjust ? String(spec.adjust) : 'auto';
+    adjustment = store.modeFor(csv, adjust);
+    bars = resample(store.load(csv, adjust), period);
+  } catch (err) {
+    if (err instanceof OhlcError) throw new KlineError(err.message);
+    throw err;
+  }
+
+  return {
+    title: spec.title ? String(spec.title) : `${stock ? stock.name : csv} ${periodLabels[period]} ${adjustment}`,
+    bars,
+    from: toDateString(spec.from, 'from'),
+    to: toDateString(spec.to, 'to'),
+    overlays
+  };
+}
+
+function formatPrice(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+function polyline(values, xAt, y) {
+  let d = '';
+  let pen = false;
+  values.forEach((value, i) => {
+    if (value === null) {
+      pen = false;
+      return;
+    }
+    d += `${pen ? 'L' : 'M'}${xAt(i).toFixed(1)},${y(value).toFixed(1)} `;
+    pen = true;
+  });
+  return d.trim();
+}
+
+function legend(entries, top) {
+  let x = margin.left;
+  return entries.map(({ title, color }) => {
+    const item = `<text x="${x}" y="${top}" fill="${color}">${escapeHtml(title)}</text>`;
+    x += 16 + Array.from(title).reduce((w, ch) => w + (ch.charCodeAt(0) > 255 ? 12 : 7), 0);
+    return item;
+  }).join('');
+}
+
+// Render a parsed kline spec to an inline SVG figure. Indicators are
+// computed over the whole history, then the visible range is cut out, so the
+// first bars of the range already have their MA/BOLL values.
+function renderKline({ title, bars, from, to, overlays }) {
+  const closes = bars.map(bar => bar.close);
+  const start = from ? bars.findIndex(bar => bar.date >= from) : Math.max(bars.length - defaultBars, 0);
+  const end = to ? bars.length - 1 - [...bars].reverse().findIndex(bar => bar.date <= to) : bars.length - 1;
+  if (start === -1 || end === bars.length || end < start) {
+    throw new KlineError(`${from || '开始'} 至 ${to || '最后'} 之间没有行情数据`);
+  }
+
+  const visible = bars.slice(start, end + 1);
+  const cut = series => series.slice(start, end + 1);
+
+  const lines = [];
+  overlays.filter(item => item.startsWith('MA')).forEach((item, i) => {
+    lines.push({ title: item, color: overlayColors[i % overlayColors.length], values: cut(sma(closes, Number(item.slice(2)))) });
+  });
+  if (overlays.includes('BOLL')) {
+    const bands = boll(closes);
+    lines.push({ title: 'BOLL上', color: bollColors.upper, values: cut(bands.upper) });
+    lines.push({ title: 'BOLL中', color: bollColors.mid, values: cut(bands.mid) });
+    lines.push({ title: 'BOLL下', color: bollColors.lower, values: cut(bands.lower) });
+  }
+  const showMacd = overlays.includes('MACD');
+
+  const height = margin.top + priceHeight + (showMacd ? macdHeight + 16 : 0) + margin.bottom;
+  const plot = { left: margin.left, right: width - margin.right, top: margin.top, bottom: margin.top + priceHeight };
+  const step = (plot.right - plot.left) / visible.length;
+  const xAt = i => plot.left + step * (i + 0.5);
+
+  const values = visible.flatMap(bar => [bar.high, bar.low])
+    .concat(lines.flatMap(line => line.values.filter(value => value !== null)));
+  const scale = niceScale(Math.min(...values), Math.max(...values));
+  const y = value => plot.bottom - ((value - scale.min) / (scale.max - scale.min)) * (plot.bottom - plot.top);
+
+  const grid = scale.ticks.map(tick => `
+    <line class="chart-grid" x1="${plot.left}" x2="${plot.right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}"></line>
+    <text class="chart-tick" x="${plot.left - 8}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end">${formatPrice(tick)}</text>`).join('');
+
+  const bodyWidth = Math.max(1, step * 0.6);
+  const candles = visible.map((bar, i) => {
+    const color = bar.close >= bar.open ? upColor : downColor;
+    const top = y(Math.max(bar.open, bar.close));
+    const bodyHeight = Math.max(1, Math.abs(y(bar.open) - y(bar.close)));
+    return `<g class="kline-bar"><title>${bar.date} 开${bar.open} 高${bar.high} 低${bar.low} 收${bar.close}</title><line x1="${xAt(i).toFixed(1)}" x2="${xAt(i).toFixed(1)}" y1="${y(bar.high).toFixed(1)}" y2="${y(bar.low).toFixed(1)}" stroke="${color}"></line><rect x="${(xAt(i) - bodyWidth / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${bodyWidth.toFixed(1)}" height="${bodyHeight.toFixed(1)}" fill="${color}"></rect></g>`;
+  }).join('');
+
+  const overlayPaths = lines.map(line => `<path d="${polyline(line.values, xAt, y)}" fill="none" stroke="${line.color}" stroke-width="1.2"></path>`).join('');
+
+  // Latest value of each overlay in the legend, as the trading software shows
+  const last = visible[visible.length - 1];
+  const legendEntries = [{ title: `${title} ${last.date} 收${formatPrice(last.close)}`, color: '#334155' }]
+    .concat(lines.map(line => {
+      const value = line.values[line.values.length - 1];
+      return { title: `${line.title} ${value === null ? '-' : formatPrice(value)}`, color: line.color };
+    }));
+
+  let macdPanel = '';
+  let axisBottom = plot.bottom;
+  if (showMacd) {
+    const result = macd(closes);
+    const dif = cut(result.dif);
+    const dea = cut(result.dea);
+    const histogram = cut(result.histogram);
+    const panel = { top: plot.bottom + 16, bottom: plot.bottom + 16 + macdHeight };
+    const extent = Math.max(...dif.concat(dea, histogram).map(Math.abs)) || 1;
+    const my = value => (panel.top + panel.bottom) / 2 - (value / extent) * (macdHeight / 2);
+    axisBottom = panel.bottom;
+
+    const histogramBars = histogram.map((value, i) => {
+      const top = Math.min(my(value), my(0));
+      return `<rect x="${(xAt(i) - bodyWidth / 4).toFixed(1)}" y="${top.toFixed(1)}" width="${Math.max(1, bodyWidth / 2).toFixed(1)}" height="${Math.max(0.5, Math.abs(my(value) - my(0))).toFixed(1)}" fill="${value >= 0 ? upColor : downColor}"></rect>`;
+    }).join('');
+
+    macdPanel = `
+    <line class="chart-axis" x1="${plot.left}" x2="${plot.right}" y1="${my(0).toFixed(1)}" y2="${my(0).toFixed(1)}"></line>
+    ${histogramBars}
+    <path d="${polyline(dif, xAt, my)}" fill="none" stroke="#334155" stroke-width="1.2"></path>
+    <path d="${polyline(dea, xAt, my)}" fill="none" stroke="#f59e0b" stroke-width="1.2"></path>
+    ${legend([
+      { title: `MACD ${formatPrice(histogram[histogram.length - 1])}`, color: histogram[histogram.length - 1] >= 0 ? upColor : downColor },
+      { title: `DIF ${formatPrice(dif[dif.length - 1])}`, color: '#334155' },
+      { title: `DEA ${formatPrice(dea[dea.length - 1])}`, color: '#f59e0b' }
+    ], panel.top + 2)}`;
+  }
+
+  const labelEvery = Math.ceil(visible.length / 6);
+  const dates = visible.map((bar, i) => (i % labelEvery === 0 ? `
+    <text class="chart-tick" x="${xAt(i).toFixed(1)}" y="${axisBottom + 18}" text-anchor="middle">${bar.date}</text>` : '')).join('');
+
+  return `<figure class="chart kline">
+  <svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img">
+    <title>${escapeHtml(title)}</title>
+    ${legend(legendEntries, 16)}${grid}
+    <line class="chart-axis" x1="${plot.left}" x2="${plot.right}" y1="${plot.bottom}" y2="${plot.bottom}"></line>
+    ${candles}
+    ${overlayPaths}${macdPanel}${dates}
+  </svg>
+</figure>
+`;
+}
+
+// marked renderer override turning ```kline blocks into candlestick SVG.
+// Blocks that cannot be drawn keep their source visible and are reported
+// through `onWarning`, like ```chart blocks.
+function createKlineRenderer({ stocks, store, onWarning = () => {} }) {
+  return {
+    code(code, infostring) {
+      if ((infostring || '').trim() !== 'kline') return false;
+
+      try {
+        return renderKline(parseKlineBlock(code, { stocks, store }));
+      } catch (err) {
+        if (!(err instanceof KlineError)) throw err;
+        onWarning(err.message);
+        return `<div class="chart-error">K线无法渲染: ${escapeHtml(err.message)}</div>
+<pre><code class="language-kline">${escapeHtml(code)}</code></pre>
+`;
+      }
+    }
+  };
+}
+
+module.exports = {
+  KlineError,
+  parseKlineBlock,
+  renderKline,
+  createKlineRenderer
+};
@@ -0,0 +1,36 @@
+const { escapeHtml } = require('./html');
+
+// Shell for generated pages (tag index, reports, tools). `root` is the
+// relative path back to the dist root for pages written into subfolders.
+function generatePage({ title, subtitle = '', body, root = '', head = '', scripts = '' }) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - 工作文档仓库</title>
+  <link rel="stylesheet" href="${root}styles.css">
+  ${head}
+</head>
+<body>
+  <div class="container">
+    <header class="page-header">
+      <a href="${root}index.html" class="page-back">← 工作文档仓库</a>
+      <h1 class="page-title">${escapeHtml(title)}</h1>
+      ${subtitle ? `<p class="page-subtitle">${subtitle}</p>` : ''}
+    </header>
+
+    <main class="main">
+      ${body}
+    </main>
+
+    <footer class="footer">
+      <p>工作相关笔记</p>
+    </footer>
+  </div>
+  ${scripts}
+</body>
+</html>`;
+}
+
+module.exports = { generatePage };
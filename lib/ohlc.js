@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+// Daily price history is kept in the repo as one CSV per stock, by default
+// data/ohlc/<code>.csv, exported from the trading software:
+//
+//   date,open,high,low,close,volume
+//   2026-01-05,26.10,26.45,25.98,26.31,812345
+//
+// Chinese headers (日期,开盘,最高,最低,收盘,成交量) are accepted too, dates may
+// use / or no separators, and rows may be in any order. A date listed twice
+// keeps its last row.
+const ohlcDir = 'data/ohlc';
+
+// Dividends sit next to them in data/dividends/<code>.csv, in the columns of
+// the dividend tables pasted into the notes (amounts per 10 shares):
+//
+//   除权除息日,分红(每10股),送股/转增(每10股)
+//   2025/10/24,¥0.800,-/-
+//
+// `date,cash,bonus` headers with per-share amounts work too.
+const dividendDir = 'data/dividends';
+
+class OhlcError extends Error {}
+
+const headerNames = {
+  date: ['date', '日期', '时间', 'time'],
+  open: ['open', '开盘', '开盘价'],
+  high: ['high', '最高', '最高价'],
+  low: ['low', '最低', '最低价'],
+  close: ['close', '收盘', '收盘价'],
+  volume: ['volume', '成交量', 'vol']
+};
+
+// Date.UTC rolls 2026-02-31 over to March, so the parts are checked against
+// the date it built
+function parseDate(text) {
+  const match = /^(\d{4})[-/.]?(\d{1,2})[-/.]?(\d{1,2})/.exec(text.trim());
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function parseOhlcCsv(text, label) {
+  const lines = text.replace(/^\ufeff/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) throw new OhlcError(`${label} 是空文件`);
+
+  const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+  const columns = {};
+  for (const [field, names] of Object.entries(headerNames)) {
+    columns[field] = header.findIndex(cell => names.includes(cell));
+    if (columns[field] === -1 && field !== 'volume') {
+      throw new OhlcError(`${label} 缺少 ${field} 列 (表头: ${lines[0]})`);
+    }
+  }
+
+  const bars = lines.slice(1).map((line, i) => {
+    const cells = line.split(',');
+    const bar = { date: parseDate(cells[columns.date] || '') };
+    ['open', 'high', 'low', 'close', 'volume'].forEach(field => {
+      bar[field] = columns[field] === -1 ? 0 : Number(cells[columns[field]]);
+    });
+    if (!bar.date || ['open', 'high', 'low', 'close'].some(field => !Number.isFinite(bar[field]))) {
+      throw new OhlcError(`${label} 第 ${i + 2} 行无法解析: ${line}`);
+    }
+    return bar;
+  });
+
+  // A date listed twice (an export appended to an older one) keeps its last row
+  const byDate = new Map(bars.map(bar => [bar.date, bar]));
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The bar's date, the Monday of its week, or its month, as the grouping key
+function periodKey(date, period) {
+  if (period === 'day') return date;
+  if (period === 'month') return date.slice(0, 7);
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+  return day.toISOString().slice(0, 10);
+}
+
+// Combine daily bars into weekly or monthly ones, dated by their last
+// trading day the way 周K/月K charts label them
+function resample(bars, period) {
+  if (period === 'day') return bars;
+
+  const groups = new Map();
+  bars.forEach(bar => {
+    const key = periodKey(bar.date, period);
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...bar });
+    } else {
+      group.date = bar.date;
+      group.high = Math.max(group.high, bar.high);
+      group.low = Math.min(group.low, bar.low);
+      group.close = bar.close;
+      group.volume += bar.volume;
+    }
+  });
+  return [...groups.values()];
+}
+
+const dividendHeaders = {
+  date: /^(date|除权除息日|除权日|除息日)$/,
+  cash: /^(cash|dividend|分红|派息|每股分红)/,
+  bonus: /^(bonus|送股|转增|送转)/
+};
+
+// Sums the parts of a cell such as "¥0.800", "3/2" (送/转) or "-/-"
+function amount(text) {
+  return (text || '').split('/').reduce((sum, part) => {
+    const value = Number(part.replace(/[¥元\s]/g, ''));
+    return sum + (Number.isFinite(value) ? value : 0);
+  }, 0);
+}
+
+// Ex-dividend events oldest first: { date, cash, bonus } per share, where
+// bonus is the shares received per share held (送股 + 转增)
+function parseDividendCsv(text, label) {
+  const lines = text.replace(/^\ufeff/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) throw new OhlcError(`${label} 是空文件`);
+
+  const header = lines[0].split(',').map(cell => cell.trim().toLowerCase().replace(/\s/g, ''));
+  const columns = {};
+  for (const [field, pattern] of Object.entries(dividendHeaders)) {
+    columns[field] = header.findIndex(cell => pattern.test(cell));
+  }
+  if (columns.date === -1 || columns.cash === -1) {
+    throw new OhlcError(`${label} 缺少除权除息日或分红列 (表头: ${lines[0]})`);
+  }
+  // Amounts are per 10 shares when the header says so, as in the notes
+  const divisor = field => (columns[field] !== -1 && /10/.test(header[columns[field]]) ? 10 : 1);
+
+  const events = lines.slice(1).map((line, i) => {
+    const cells = line.split(',');
+    const date = parseDate(cells[columns.date] || '');
+    if (!date) throw new OhlcError(`${label} 第 ${i + 2} 行无法解析: ${line}`);
+    return {
+      date,
+      cash: Number((amount(cells[columns.cash]) / divisor('cash')).toPrecision(12)),
+      bonus: columns.bonus === -1 ? 0 : Number((amount(cells[columns.bonus]) / divisor('bonus')).toPrecision(12))
+    };
+  });
+
+  // Like the price rows, an ex-date listed twice keeps its last row
+  const byDate = new Map(events.map(event => [event.date, event]));
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Loads CSVs relative to the vault root once per build
+function createOhlcStore(rootDir) {
+  const cache = new Map();
+
+  function load(relPath) {
+    if (!cache.has(relPath)) {
+      const file = path.join(rootDir, relPath);
+      if (!fs.existsSync(file)) throw new OhlcError(`找不到行情文件 ${relPath}`);
+      cache.set(relPath, parseOhlcCsv(fs.readFileSync(file, 'utf-8'), relPath));
+    }
+    return cache.get(relPath);
+  }
+
+  // Default CSV of a dictionary stock, or null when there is none
+  function pathFor(stock) {
+    const relPath = `${ohlcDir}/${stock.code || stock.name}.csv`;
+    return fs.existsSync(path.join(rootDir, relPath)) ? relPath : null;
+  }
+
+  // Dividend events of a dictionary stock, [] when it has no dividend file
+  function dividendsFor(stock) {
+    const relPath = `${dividendDir}/${stock.code || stock.name}.csv`;
+    if (!cache.has(relPath)) {
+      const file = path.join(rootDir, relPath);
+      cache.set(relPath, fs.existsSync(file) ? parseDividendCsv(fs.readFileSync(file, 'utf-8'), relPath) : []);
+    }
+    return cache.get(relPath);
+  }
+
+  return { load, pathFor, dividendsFor };
+}
+
+module.exports = {
+  OhlcError,
+  ohlcDir,
+  dividendDir,
+  parseOhlcCsv,
+  parseDividendCsv,
+  periodKey,
+  resample,
+  createOhlcStore
+};
@@ -0,0 +1,178 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+const { OhlcError } = require('./ohlc');
+const { sma, boll } = require('./indicators');
+const { stockFileName } = require('./stocks');
+
+// Candlestick screener over the daily CSVs in data/ohlc/, using the
+// definitions written up in K线形态.md and K线指标.md. Each pattern looks at
+// one bar (and the ones before it) and returns a strength, or null.
+
+// "Large" depends on the instrument: a candle body is compared with the
+// average body of the previous 20 days instead of a fixed percentage
+const typicalWindow = 20;
+const mediumBody = 1.5;
+
+// Candle body as a fraction of the open, so bodies compare across prices
+function body(bar) {
+  return Math.abs(bar.close - bar.open) / bar.open;
+}
+
+function isYang(bar) {
+  return bar.close > bar.open;
+}
+
+function isYin(bar) {
+  return bar.close < bar.open;
+}
+
+const patterns = [
+  {
+    id: 'engulfing',
+    name: '阳包阴',
+    note: 'K线形态',
+    // A 中阳 or bigger whose body fully covers the previous 中阴's body
+    detect(bars, i, context) {
+      const bar = bars[i];
+      const prev = bars[i - 1];
+      const typical = context.typicalBody[i - 1];
+      if (!prev || !typical || !isYang(bar) || !isYin(prev)) return null;
+      if (bar.open > prev.close || bar.close < prev.open) return null;
+      if (body(prev) < mediumBody * typical || body(bar) < mediumBody * typical) return null;
+      const covers = bar.close >= prev.high && bar.open <= prev.low ? '，连影线一起包住' : '';
+      return { strength: body(bar) / typical, detail: `阳线实体是近 ${typicalWindow} 日平均的 ${(body(bar) / typical).toFixed(1)} 倍${covers}` };
+    }
+  },
+  {
+    id: 'three-lines',
+    name: '一阳穿三线',
+    note: 'K线形态',
+    // One 中阳 or bigger opening below MA5, MA10 and MA20 and closing above all three
+    detect(bars, i, context) {
+      const bar = bars[i];
+      const lines = context.averages.map(average => average[i]);
+      const typical = context.typicalBody[i - 1];
+      if (!isYang(bar) || !typical || lines.some(value => value === null)) return null;
+      if (body(bar) < mediumBody * typical) return null;
+      if (bar.open > Math.min(...lines) || bar.close < Math.max(...lines)) return null;
+      return { strength: body(bar) / typical, detail: `开盘 ${bar.open} 低于三线，收盘 ${bar.close} 站上 MA5/MA10/MA20` };
+    }
+  },
+  {
+    id: 'boll-breakout',
+    name: '突破BOLL上轨',
+    note: 'K线指标',
+    // 第一卖点: the close moves above the upper band
+    detect(bars, i, context) {
+      const upper = context.boll.upper;
+      if (upper[i - 1] === null || upper[i - 1] === undefined) return null;
+      if (bars[i - 1].close > upper[i - 1] || bars[i].close <= upper[i]) return null;
+      const over = bars[i].close / upper[i] - 1;
+      return { strength: over * 100, detail: `收盘高出上轨 ${(over * 100).toFixed(2)}%` };
+    }
+  },
+  {
+    id: 'boll-return',
+    name: '跌回BOLL区间',
+    note: 'K线指标',
+    // 第二卖点: after closing above the upper band, the close is back inside
+    detect(bars, i, context) {
+      const upper = context.boll.upper;
+      if (upper[i - 1] === null || upper[i - 1] === undefined) return null;
+      if (bars[i - 1].close <= upper[i - 1] || bars[i].close > upper[i]) return null;
+      const under = 1 - bars[i].close / upper[i];
+      return { strength: under * 100, detail: `收盘回到上轨下方 ${(under * 100).toFixed(2)}%` };
+    }
+  }
+];
+
+// Indicator series shared by every pattern. typicalBody[i] is the average
+// body of the window ending at bar i.
+function screenContext(bars) {
+  const closes = bars.map(bar => bar.close);
+  return {
+    typicalBody: sma(bars.map(body), typicalWindow),
+    averages: [5, 10, 20].map(period => sma(closes, period)),
+    boll: boll(closes)
+  };
+}
+
+function screenBars(bars) {
+  const context = screenContext(bars);
+  const hits = [];
+  for (let i = 1; i < bars.length; i++) {
+    patterns.forEach(pattern => {
+      const hit = pattern.detect(bars, i, context);
+      if (hit) hits.push({ date: bars[i].date, pattern, close: bars[i].close, ...hit });
+    });
+  }
+  return hits;
+}
+
+// Runs every pattern over each dictionary stock that has a price file.
+// Unreadable CSVs are reported through onWarning and skipped.
+function screenStocks(stocks, store, { onWarning = () => {} } = {}) {
+  const screened = [];
+  const hits = [];
+  stocks.forEach(stock => {
+    const relPath = store.pathFor(stock);
+    if (!relPath) return;
+    try {
+      const bars = store.load(relPath);
+      screened.push({ stock, relPath, bars: bars.length, last: bars.length ? bars[bars.length - 1].date : null });
+      hits.push(...screenBars(bars).map(hit => ({ stock, ...hit })));
+    } catch (error) {
+      if (!(error instanceof OhlcError)) throw error;
+      onWarning(error.message);
+    }
+  });
+  hits.sort((a, b) => b.date.localeCompare(a.date) || b.strength - a.strength);
+  return { screened, hits };
+}
+
+// `resolveNote` maps a pattern's note name to its entry, or null
+function generatePatternPage({ screened, hits }, resolveNote) {
+  const noteLink = pattern => {
+    const note = resolveNote(pattern.note);
+    return note
+      ? `<a href="${encodeURIComponent(note.outputName)}.html" title="定义见 ${escapeHtml(note.title)}">${escapeHtml(pattern.name)}</a>`
+      : escapeHtml(pattern.name);
+  };
+
+  const counts = patterns.map(pattern => `${noteLink(pattern)} <span class="tag-count">${hits.filter(hit => hit.pattern === pattern).length}</span>`);
+
+  const rows = hits.map(hit => `
+          <tr>
+            <td>${hit.date}</td>
+            <td><a href="stocks/${encodeURIComponent(stockFileName(hit.stock))}">${escapeHtml(hit.stock.name)}</a></td>
+            <td>${noteLink(hit.pattern)}</td>
+            <td>${hit.close}</td>
+            <td title="${escapeHtml(hit.detail)}">${hit.strength.toFixed(2)}</td>
+            <td class="screen-detail">${escapeHtml(hit.detail)}</td>
+          </tr>`).join('');
+
+  const body = screened.length === 0
+    ? '<p class="empty-state">data/ohlc/ 下还没有股票行情文件 (每只股票一个 &lt;代码&gt;.csv)</p>'
+    : `<p class="screen-counts">${counts.join(' · ')}</p>
+      <div class="calculator-grid-wrap">
+        <table class="calculator-grid screen-table">
+          <thead><tr><th>日期</th><th>股票</th><th>形态</th><th>收盘</th><th>强度</th><th>说明</th></tr></thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+      </div>
+      <p class="tag-context-meta">强度: K线形态为实体相对近 ${typicalWindow} 日平均实体的倍数，BOLL 信号为收盘价偏离上轨的百分比。已扫描 ${screened.map(({ stock, last }) => `${escapeHtml(stock.name)} (至 ${last || '-'})`).join('、')}</p>`;
+
+  return generatePage({
+    title: 'K线形态筛选',
+    subtitle: `在 ${screened.length} 只股票的日K中找到 ${hits.length} 个形态信号`,
+    body
+  });
+}
+
+module.exports = {
+  patterns,
+  screenBars,
+  screenStocks,
+  generatePatternPage
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+// Field weights: a hit in the title counts five times a hit in the body
+const fieldWeights = { title: 5, headings: 3, tags: 3, cells: 2, body: 1 };
+
+// Shared by the build and the browser (serialized into search.js), so it must
+// stay self-contained. CJK runs become overlapping character bigrams, Latin
+// words and numbers stay whole, and dictionary terms such as stock names are
+// emitted as extra whole-word tokens.
+function tokenize(text, dictionary) {
+  var tokens = [];
+  var lower = String(text || '').toLowerCase();
+  var runs = lower.match(/[\u3400-\u9fff\uf900-\ufaff]+|[a-z0-9][a-z0-9._%-]*/g) || [];
+
+  for (var i = 0; i < runs.length; i++) {
+    var run = runs[i];
+    if (!/[\u3400-\u9fff\uf900-\ufaff]/.test(run)) {
+      tokens.push(run.replace(/[._-]+$/, ''));
+    } else if (run.length === 1) {
+      tokens.push(run);
+    } else {
+      for (var j = 0; j < run.length - 1; j++) {
+        tokens.push(run.substr(j, 2));
+      }
+    }
+  }
+
+  for (var k = 0; k < (dictionary || []).length; k++) {
+    if (lower.indexOf(dictionary[k]) !== -1) tokens.push('=' + dictionary[k]);
+  }
+
+  return tokens;
+}
+
+// Strip rendered HTML down to readable text for indexing and snippets
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Headings, table cells and stock names (the 股票名称 column of watchlist
+// tables) from marked block tokens
+function extractStructure(tokens) {
+  const headings = [];
+  const cells = [];
+  const names = [];
+
+  const visit = token => {
+    if (token.type === 'heading') headings.push(token.text);
+    if (token.type === 'table') {
+      token.header.forEach(cell => cells.push(cell.text));
+      token.rows.forEach(row => row.forEach(cell => cell.text.trim() && cells.push(cell.text)));
+
+      const nameColumn = token.header.findIndex(cell => /^(股票名称|股票|名称)$/.test(cell.text.trim()));
+      if (nameColumn !== -1) {
+        token.rows.forEach(row => {
+          const name = row[nameColumn] ? row[nameColumn].text.split(/<br\s*\/?>/i)[0].trim() : '';
+          if (name) names.push(name);
+        });
+      }
+    }
+    (token.tokens || []).forEach(visit);
+    (token.items || []).forEach(visit);
+  };
+
+  tokens.forEach(visit);
+  return { headings, names, cells: cells.map(cell => cell.replace(/<br\s*\/?>/gi, ' ')) };
+}
+
+// Build the inverted index shipped to the browser. `docs` items carry
+// { title, url, folder, headings, tags, cells, body }.
+function buildSearchIndex(docs, dictionary) {
+  const terms = [...new Set(dictionary.map(term => term.toLowerCase()).filter(Boolean))];
+  const postings = {};
+
+  docs.forEach((doc, docIndex) => {
+    const scores = {};
+    for (const [field, weight] of Object.entries(fieldWeights)) {
+      const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+      for (const token of tokenize(value, terms)) {
+        scores[token] = (scores[token] || 0) + weight;
+      }
+    }
+    for (const [token, score] of Object.entries(scores)) {
+      if (!postings[token]) postings[token] = [];
+      postings[token].push(docIndex, score);
+    }
+  });
+
+  return {
+    dictionary: terms,
+    docs: docs.map(doc => ({
+      t: doc.title,
+      u: doc.url,
+      f: doc.folder,
+      g: doc.tags,
+      x: doc.body
+    })),
+    postings
+  };
+}
+
+// Browser script for the search boxes, prefixed with the shared tokenizer
+function searchClientScript() {
+  const client = fs.readFileSync(path.join(__dirname, 'client', 'search.js'), 'utf-8');
+  return `var tokenize = ${tokenize.toString()};\n\n${client}`;
+}
+
+function renderSearchBox({ root = '', variant = 'header' } = {}) {
+  return `<div class="search search-${variant}" data-search data-root="${escapeHtml(root)}">
+        <input type="search" class="search-input" placeholder="搜索笔记、股票、标签… (按 / 聚焦)" autocomplete="off" aria-label="搜索">
+        <div class="search-results" hidden></div>
+      </div>`;
+}
+
+module.exports = {
+  tokenize,
+  htmlToText,
+  extractStructure,
+  buildSearchIndex,
+  searchClientScript,
+  renderSearchBox
+};
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+const { parseEmbed, isImage } = require('./embeds');
+
+// Load the stock dictionary (a YAML list of { name, code, aliases,
+// standaloneAliases }). A missing file means no stock pages; bad entries are
+// skipped with a warning.
+function loadStocks(file) {
+  if (!fs.existsSync(file)) return [];
+
+  let data;
+  try {
+    data = yaml.safeLoad(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    console.warn(`Warning: ignoring invalid stock dictionary ${file}: ${err.reason || err.message}`);
+    return [];
+  }
+
+  const stocks = [];
+  const seen = new Map();
+
+  (Array.isArray(data) ? data : []).forEach((entry, i) => {
+    if (!entry || !entry.name) {
+      console.warn(`Warning: stock dictionary entry ${i + 1} has no name`);
+      return;
+    }
+
+    // Unquoted codes such as 000333 arrive as numbers without their zeros
+    const code = entry.code === undefined || entry.code === null ? '' : String(entry.code).padStart(6, '0');
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(/[,，]/))
+      .map(alias => String(alias).trim())
+      .filter(Boolean);
+    const aliases = list(entry.aliases);
+    // Aliases that are also part of common words (美的 in 完美的)
+    const standaloneAliases = list(entry.standaloneAliases);
+
+    // Shares held, for the expected cash on the dividend calendar
+    const shares = Number(entry.shares) > 0 ? Number(entry.shares) : 0;
+
+    const stock = { name: String(entry.name).trim(), code, aliases, standaloneAliases, shares };
+    const terms = [stock.name, ...aliases, ...standaloneAliases];
+    const clash = terms.find(term => seen.has(term));
+    if (clash) {
+      console.warn(`Warning: stock dictionary lists ${clash} for both ${seen.get(clash).name} and ${stock.name}`);
+      return;
+    }
+    terms.forEach(term => seen.set(term, stock));
+    stocks.push(stock);
+  });
+
+  return stocks;
+}
+
+function stockFileName(stock) {
+  return `${stock.code || stock.name}.html`;
+}
+
+function stockUrl(stock, root = '') {
+  return `${root}stocks/${encodeURIComponent(stockFileName(stock))}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A standalone alias only matches with no Chinese character on either side,
+// looking through bold/italic/strikethrough markers (**完**美的)
+const han = '[\\u3400-\\u9fff]';
+const hanChar = new RegExp(han);
+
+function termPattern(term, standalone) {
+  return standalone ? `(?<!${han}[*_~]*)${escapeRegExp(term)}(?![*_~]*${han})` : escapeRegExp(term);
+}
+
+// Lookup over every name and alias. Longer terms are tried first so 粤高速A
+// wins over 粤高速 and a stock name is never split by a shorter alias.
+function createStockIndex(stocks) {
+  const byTerm = new Map();
+  const standalone = new Set();
+  stocks.forEach(stock => {
+    [stock.name, ...stock.aliases, ...(stock.standaloneAliases || [])].forEach(term => byTerm.set(term, stock));
+    (stock.standaloneAliases || []).forEach(term => standalone.add(term));
+  });
+
+  const alternation = [...byTerm.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(term => termPattern(term, standalone.has(term)))
+    .join('|');
+
+  const pattern = alternation ? new RegExp(alternation, 'g') : null;
+
+  // Stocks mentioned in a piece of text, in order of first appearance
+  function find(text) {
+    if (!pattern) return [];
+    const found = [];
+    for (const match of String(text).matchAll(pattern)) {
+      const stock = byTerm.get(match[0]);
+      if (!found.includes(stock)) found.push(stock);
+    }
+    return found;
+  }
+
+  return {
+    stocks,
+    terms: [...byTerm.keys()],
+    pattern,
+    find,
+    lookup: term => byTerm.get(term) || null,
+    isStandalone: term => standalone.has(term)
+  };
+}
+
+function unlinkStock(token) {
+  Object.assign(token, { type: 'text', text: escapeHtml(token.raw) });
+  delete token.stock;
+}
+
+// The tokenizer only sees the rest of the text, so a standalone alias right
+// after **完** or inside **…** next to a Chinese character is checked again
+// against the neighbouring inline tokens once the block is lexed. Stock
+// names in link text are left alone (one link would nest in another).
+function checkStockBoundaries(tokens, index) {
+  const leaves = [];
+  const collect = (list, inLink) => list.forEach(token => {
+    if (token.type === 'stockLink' && inLink) unlinkStock(token);
+    if (token.tokens) {
+      collect(token.tokens, inLink || token.type === 'link');
+    } else {
+      leaves.push(token);
+    }
+  });
+  collect(tokens, false);
+
+  const visible = token => (token && token.type !== 'br' ? token.text ?? token.raw : '');
+  leaves.forEach((token, i) => {
+    if (token.type !== 'stockLink' || !index.isStandalone(token.raw)) return;
+    const before = visible(leaves[i - 1]).slice(-1);
+    const after = visible(leaves[i + 1]).charAt(0);
+    if (hanChar.test(before) || hanChar.test(after)) unlinkStock(token);
+  });
+}
+
+// marked plugin linking stock names and aliases in note text to the
+// stock's page, with checkStockBoundaries as its walkTokens hook
+function createStockLinkExtension(index, { root = '' } = {}) {
+  const anchored = index.pattern ? new RegExp(`^(?:${index.pattern.source})`) : null;
+  const search = index.pattern ? new RegExp(index.pattern.source) : null;
+
+  return {
+    extensions: [{
+      name: 'stockLink',
+      level: 'inline',
+      start(src) {
+        if (!search) return undefined;
+        const match = search.exec(src);
+        return match ? match.index : undefined;
+      },
+      tokenizer(src) {
+        if (!anchored) return undefined;
+        const match = anchored.exec(src);
+        if (!match) return undefined;
+
+        return { type: 'stockLink', raw: match[0], stock: index.lookup(match[0]) };
+      },
+      renderer(token) {
+        return `<a href="${stockUrl(token.stock, root)}" class="stock-link" title="${escapeHtml(token.stock.code)}">${escapeHtml(token.raw)}</a>`;
+      }
+    }],
+    walkTokens(token) {
+      if (token.type === 'table') {
+        [token.header, ...token.rows].flat().forEach(cell => checkStockBoundaries(cell.tokens, index));
+      } else if (['paragraph', 'heading', 'text'].includes(token.type) && token.tokens) {
+        checkStockBoundaries(token.tokens, index);
+      }
+    }
+  };
+}
+
+function safeDecode(href) {
+  try {
+    return decodeURIComponent(href);
+  } catch (err) {
+    return href;
+  }
+}
+
+const imagePatterns = [/!\[\[([^[\]\n]+?)\]\]/g, /!\[[^\]\n]*\]\(([^)\s]+)[^)]*\)/g];
+
+// Walk marked block tokens and collect every mention: paragraphs (and list
+// items, headings, quotes) by their text, table rows with the table header,
+// and screenshots whose file name carries the stock name
+function extractStockMentions(tokens, index) {
+  const found = [];
+
+  const scan = raw => {
+    let text = raw;
+    imagePatterns.forEach(pattern => {
+      text = text.replace(pattern, (whole, inner) => {
+        const target = whole.startsWith('![[') ? parseEmbed(inner).target : safeDecode(inner);
+        if (isImage(target)) {
+          index.find(target.split('/').pop()).forEach(stock => found.push({ stock, kind: 'image', target }));
+        }
+        return ' ';
+      });
+    });
+
+    const context = text.trim();
+    if (context) {
+      index.find(context).forEach(stock => found.push({ stock, kind: 'text', context }));
+    }
+  };
+
+  const visit = token => {
+    switch (token.type) {
+      case 'code':
+      case 'space':
+      case 'hr':
+        return;
+      case 'table': {
+        const header = token.header.map(cell => cell.text);
+        token.rows.forEach(row => {
+          const cells = row.map(cell => cell.text);
+          index.find(cells.join(' ')).forEach(stock => found.push({ stock, kind: 'row', header, cells }));
+        });
+        return;
+      }
+      case 'list':
+        token.items.forEach(item => {
+          const nested = item.tokens.filter(child => child.type === 'list');
+          scan(item.tokens.filter(child => child.type !== 'list').map(child => child.raw).join(''));
+          nested.forEach(visit);
+        });
+        return;
+      case 'blockquote':
+        token.tokens.forEach(visit);
+        return;
+      default:
+        if (token.raw) scan(token.raw);
+    }
+  };
+
+  tokens.forEach(visit);
+  return found;
+}
+
+// Group mentions by stock: Map(stock -> Map(note -> mentions[])). Every
+// dictionary entry gets a key so unmentioned stocks still have a page.
+function buildStockMentions(stocks, entries) {
+  const mentions = new Map(stocks.map(stock => [stock, new Map()]));
+
+  for (const { file, stock, ...mention } of entries) {
+    const notes = mentions.get(stock);
+    if (!notes.has(file)) notes.set(file, []);
+    notes.get(file).push(mention);
+  }
+
+  return mentions;
+}
+
+function noteDate(file) {
+  return file.date || file.created || file.mtime;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Escape, trim and mark every name or alias of the stock
+function highlightStock(text, stock) {
+  const escaped = escapeHtml(text.length > 300 ? text.substring(0, 300) + '…' : text);
+  const standalone = stock.standaloneAliases || [];
+  const terms = [stock.name, ...stock.aliases, ...standalone]
+    .sort((a, b) => b.length - a.length)
+    .map(term => termPattern(escapeHtml(term), standalone.includes(term)));
+  return escaped
+    .replace(new RegExp(terms.join('|'), 'g'), '<mark>$&</mark>')
+    .replace(/&lt;br\s*\/?&gt;/gi, '<br>');
+}
+
+function renderMention(mention, stock, resolveImage) {
+  switch (mention.kind) {
+    case 'row':
+      return `<div class="stock-row-wrap"><table class="stock-row">
+          <thead><tr>${mention.header.map(cell => `<th>${highlightStock(cell, stock)}</th>`).join('')}</tr></thead>
+          <tbody><tr>${mention.cells.map(cell => `<td>${highlightStock(cell, stock)}</td>`).join('')}</tr></tbody>
+        </table></div>`;
+    case 'image': {
+      const url = resolveImage(mention.target);
+      return url
+        ? `<figure class="stock-shot"><img src="${escapeHtml(url)}" alt="${escapeHtml(mention.target)}" loading="lazy"><figcaption>${highlightStock(mention.target, stock)}</figcaption></figure>`
+        : `<p class="tag-context-meta">缺少截图: ${escapeHtml(mention.target)}</p>`;
+    }
+    default:
+      return `<blockquote class="tag-context">${highlightStock(mention.context, stock)}</blockquote>`;
+  }
+}
+
+function generateStockIndexPage(mentions) {
+  const stocks = [...mentions.entries()]
+    .sort(([a, notesA], [b, notesB]) => notesB.size - notesA.size || a.name.localeCompare(b.name, 'zh-CN'));
+
+  const items = stocks.map(([stock, notes]) => `
+        <a href="${encodeURIComponent(stockFileName(stock))}" class="stock-index-item${notes.size ? '' : ' is-empty'}">
+          <span class="stock-name">${escapeHtml(stock.name)}</span>
+          <span class="stock-code">${escapeHtml(stock.code)}</span>
+          <span class="tag-count">${notes.size} 篇</span>
+        </a>`).join('');
+
+  return generatePage({
+    title: '股票',
+    subtitle: `${stocks.length} 只股票 · 按提及的笔记数排序`,
+    root: '../',
+    body: stocks.length
+      ? `<div class="stock-index">${items}
+      </div>`
+      : '<p class="empty-state">股票词典 data/stocks.yml 还是空的</p>'
+  });
+}
+
+// One stock's page: every note that mentions it, newest first, with the
+// paragraphs, table rows and screenshots where the mention appears.
+// `resolveImage` maps a screenshot target to its published URL (or null);
+// `history` is the rendered table history shown above the mentions.
+function generateStockPage(stock, notes, { resolveImage, history = '' }) {
+  const sorted = [...notes.entries()].sort(([a], [b]) => noteDate(b) - noteDate(a));
+  const total = sorted.reduce((sum, [, list]) => sum + list.length, 0);
+
+  const sections = sorted.map(([file, list]) => `
+      <section class="tag-note">
+        <h2 class="tag-note-title"><a href="../${encodeURIComponent(file.outputName)}.html">${escapeHtml(file.title)}</a></h2>
+        <div class="doc-breadcrumb">${formatDate(noteDate(file))}${file.folder ? ` · ${escapeHtml(file.folder.replace(/[/\\]/g, ' / '))}` : ''}</div>
+        ${list.map(mention => renderMention(mention, stock, resolveImage)).join('\n        ')}
+      </section>`).join('\n');
+
+  const details = [
+    escapeHtml(stock.code),
+    stock.aliases.length ? `又名 ${stock.aliases.map(escapeHtml).join('、')}` : '',
+    `${sorted.length} 篇笔记 · ${total} 处提及`,
+    '<a href="index.html">全部股票</a>'
+  ].filter(Boolean).join(' · ');
+
+  return generatePage({
+    title: stock.name,
+    subtitle: details,
+    root: '../',
+    body: sorted.length ? history + sections : '<p class="empty-state">还没有笔记提到这只股票</p>'
+  });
+}
+
+module.exports = {
+  loadStocks,
+  stockFileName,
+  stockUrl,
+  createStockIndex,
+  createStockLinkExtension,
+  extractStockMentions,
+  buildStockMentions,
+  generateStockIndexPage,
+  generateStockPage
+};
@@ -0,0 +1,231 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+
+// Markdown cell source to plain text: wikilinks and links keep their label,
+// emphasis and code marks and any other HTML are dropped
+function cellText(raw) {
+  return raw
+    .replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2')
+    .replace(/\[\[([^\]]+)\]\]/g, '$1')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__|\*|`|~~)/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .trim();
+}
+
+// Type a single value. Percentages become fractions (4.57% -> 0.0457),
+// numbers may carry thousands separators or a ¥ sign, and full dates in
+// 2025/7/11, 2025-07-11 or 2025年7月11日 form become ISO dates. Codes with
+// leading zeros such as 000429 stay text.
+function parseValue(text) {
+  if (text === '') return { type: 'empty', value: null, text };
+
+  const percent = /^([-+]?\d+(?:\.\d+)?)\s*%$/.exec(text);
+  if (percent) {
+    return { type: 'percent', value: Number((Number(percent[1]) / 100).toPrecision(12)), text };
+  }
+
+  const number = /^[¥￥]?\s*([-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)$/.exec(text);
+  if (number && !/^[-+]?0\d/.test(number[1])) {
+    return { type: 'number', value: Number(number[1].replace(/,/g, '')), text: number[1].replace(/,/g, '') };
+  }
+
+  const date = /^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/.exec(text);
+  if (date) {
+    const [year, month, day] = date.slice(1).map(Number);
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+    if (parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day) {
+      const iso = parsed.toISOString().slice(0, 10);
+      return { type: 'date', value: iso, text: iso };
+    }
+  }
+
+  return { type: 'text', value: text, text };
+}
+
+// `<br>` separates several values in one cell; those become a list
+function parseCell(raw) {
+  const parts = raw.split(/<br\s*\/?>/i).map(cellText).filter(Boolean);
+  if (parts.length <= 1) return parseValue(parts[0] || '');
+
+  const values = parts.map(parseValue);
+  return { type: 'list', value: values.map(value => value.value), text: values.map(value => value.text).join('\n') };
+}
+
+// Header cells as unique, non-empty column names
+function columnNames(header) {
+  const seen = new Map();
+  return header.map((cell, i) => {
+    const base = cellText(cell.text.replace(/<br\s*\/?>/gi, ' ')).replace(/\s+/g, ' ') || `列${i + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+// A column's type is the type all its filled cells share, otherwise mixed
+function columnType(cells) {
+  const types = new Set(cells.map(cell => cell.type).filter(type => type !== 'empty'));
+  if (types.size === 0) return 'empty';
+  return types.size === 1 ? [...types][0] : 'mixed';
+}
+
+// Every table in a note's marked block tokens, in document order, typed and
+// labelled with the heading it sits under and the paragraph introducing it
+function extractTables(tokens) {
+  const tables = [];
+  let heading = null;
+  let intro = null;
+
+  const visit = token => {
+    if (token.type === 'heading') {
+      heading = cellText(token.text);
+      intro = null;
+    }
+    if (token.type === 'paragraph') intro = cellText(token.text);
+    if (token.type === 'table') {
+      const columns = columnNames(token.header);
+      const rows = token.rows.map(row => columns.map((name, i) => parseCell(row[i] ? row[i].text : '')));
+      tables.push({
+        index: tables.length + 1,
+        heading,
+        intro,
+        columns: columns.map((name, i) => ({ name, type: columnType(rows.map(row => row[i])) })),
+        rows
+      });
+    }
+    (token.tokens || []).forEach(visit);
+    (token.items || []).forEach(visit);
+  };
+
+  tokens.forEach(visit);
+  return tables;
+}
+
+function tableFileName(file, table, ext) {
+  return `${file.outputName}.${table.index}.${ext}`;
+}
+
+function tableUrl(file, table, ext, root = '') {
+  return `${root}tables/${encodeURIComponent(tableFileName(file, table, ext))}`;
+}
+
+function sourcePath(file) {
+  return file.folder ? `${file.folder}/${file.filename}` : file.filename;
+}
+
+function tableJson(file, table) {
+  return {
+    note: file.title,
+    source: sourcePath(file),
+    url: `${file.outputName}.html`,
+    table: table.index,
+    heading: table.heading,
+    columns: table.columns,
+    rows: table.rows.map(row => Object.fromEntries(table.columns.map((column, i) => [column.name, row[i].value])))
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The BOM makes Excel read the file as UTF-8 instead of the local code page
+function toCsv(lines) {
+  return '\ufeff' + lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function tableCsv(table) {
+  return toCsv([
+    table.columns.map(column => column.name),
+    ...table.rows.map(row => row.map(cell => cell.text))
+  ]);
+}
+
+// Every table of every note in one file. The CSV is in long form (one line
+// per cell) so tables with different columns fit one sheet and pivot easily.
+function combinedJson(exports) {
+  return exports.flatMap(({ file, tables }) => tables.map(table => tableJson(file, table)));
+}
+
+function combinedCsv(exports) {
+  const lines = [['note', 'source', 'table', 'heading', 'row', 'column', 'type', 'value']];
+  exports.forEach(({ file, tables }) => tables.forEach(table => table.rows.forEach((row, r) => {
+    row.forEach((cell, i) => {
+      if (cell.type === 'empty') return;
+      lines.push([file.title, sourcePath(file), table.index, table.heading || '', r + 1, table.columns[i].name, cell.type, cell.text]);
+    });
+  })));
+  return toCsv(lines);
+}
+
+function renderDownloadLinks(file, table, root = '') {
+  return `<div class="table-export">
+  <span>表格数据 (${table.rows.length} 行):</span>
+  <a href="${tableUrl(file, table, 'json', root)}" download>JSON</a>
+  <a href="${tableUrl(file, table, 'csv', root)}" download>CSV</a>
+</div>`;
+}
+
+// marked extension adding download links under each table of a note. The
+// table itself is rendered by marked's own renderer: the nested parse sees
+// the token a second time and falls through. Numbering follows document
+// order, the same order extractTables uses.
+function createTableExportExtension(file, tables) {
+  const rendered = new Set();
+
+  return {
+    name: 'table',
+    renderer(token) {
+      if (rendered.has(token)) return false;
+      rendered.add(token);
+      const table = tables[rendered.size - 1];
+      const html = this.parser.parse([token]);
+      return table ? html + renderDownloadLinks(file, table) : html;
+    }
+  };
+}
+
+function generateTableIndexPage(exports) {
+  const total = exports.reduce((sum, { tables }) => sum + tables.length, 0);
+
+  const sections = exports.map(({ file, tables }) => {
+    const items = tables.map(table => `
+          <li class="table-index-item">
+            <span class="table-index-name">表 ${table.index}${table.heading ? ` · ${escapeHtml(table.heading)}` : ''}</span>
+            <span class="tag-count">${table.columns.length} 列 · ${table.rows.length} 行</span>
+            <a href="${encodeURIComponent(tableFileName(file, table, 'json'))}" download>JSON</a>
+            <a href="${encodeURIComponent(tableFileName(file, table, 'csv'))}" download>CSV</a>
+          </li>`).join('');
+
+    return `
+      <section class="tag-note">
+        <h2 class="tag-note-title"><a href="../${encodeURIComponent(file.outputName)}.html">${escapeHtml(file.title)}</a></h2>
+        ${file.folder ? `<div class="doc-breadcrumb">${escapeHtml(file.folder.replace(/[/\\]/g, ' / '))}</div>` : ''}
+        <ul class="table-index">${items}
+        </ul>
+      </section>`;
+  }).join('\n');
+
+  return generatePage({
+    title: '表格数据',
+    subtitle: `${exports.length} 篇笔记中的 ${total} 个表格 · 全部导出: <a href="all.json" download>all.json</a> · <a href="all.csv" download>all.csv</a>`,
+    root: '../',
+    body: total ? sections : '<p class="empty-state">笔记中还没有表格</p>'
+  });
+}
+
+module.exports = {
+  parseCell,
+  extractTables,
+  tableFileName,
+  tableJson,
+  toCsv,
+  tableCsv,
+  combinedJson,
+  combinedCsv,
+  createTableExportExtension,
+  generateTableIndexPage
+};
@@ -0,0 +1,222 @@
+const { escapeHtml } = require('./html');
+const { generatePage } = require('./layout');
+
+// Obsidian tags: `#` at line start or after whitespace (**#bold** too), then
+// letters, digits, `_`, `-` or `/` (nested tags), with at least one non-digit
+// character
+const tagBody = '[\\p{L}\\p{N}_/-]+';
+const inlineTagPattern = new RegExp(`(^|\\s)(?:\\*{1,3}|~~)?#(${tagBody})`, 'gu');
+const tagTokenPattern = new RegExp(`^#(${tagBody})`, 'u');
+
+// `#00bd48` and friends are colors, not tags
+function isHexColor(tag) {
+  return /^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(tag) && (/\d/.test(tag) || tag.length >= 6);
+}
+
+function isTag(tag) {
+  return /[^\d/_-]/u.test(tag) && !isHexColor(tag);
+}
+
+// Case-insensitive key shared by grouping and page file names
+function tagKey(tag) {
+  return tag.toLowerCase();
+}
+
+function tagFileName(tag) {
+  return `${tagKey(tag).replace(/\//g, '__')}.html`;
+}
+
+function tagUrl(tag, root = '') {
+  return `${root}tags/${encodeURIComponent(tagFileName(tag))}`;
+}
+
+// Text of a block with code and link targets removed, so `#` inside them
+// never counts as a tag
+function plainText(raw) {
+  return raw
+    .replace(/`[^`\n]*`/g, ' ')
+    .replace(/\]\([^)]*\)/g, '] ')
+    .replace(/<[^>]+>/g, ' ');
+}
+
+// Walk marked block tokens and collect every inline tag with the block of
+// text (paragraph, list item, table row, heading) it appears in
+function extractTags(tokens) {
+  const found = [];
+
+  const scan = raw => {
+    const text = plainText(raw);
+    for (const match of text.matchAll(inlineTagPattern)) {
+      if (isTag(match[2])) {
+        found.push({ tag: match[2], context: raw.trim() });
+      }
+    }
+  };
+
+  const visit = token => {
+    switch (token.type) {
+      case 'code':
+      case 'html':
+      case 'space':
+      case 'hr':
+        return;
+      case 'table':
+        token.rows.forEach(row => scan(row.map(cell => cell.text).join(' | ')));
+        return;
+      case 'list':
+        token.items.forEach(item => {
+          const nested = item.tokens.filter(child => child.type === 'list');
+          const own = item.tokens.filter(child => child.type !== 'list').map(child => child.raw).join('');
+          scan(own);
+          nested.forEach(visit);
+        });
+        return;
+      case 'blockquote':
+        token.tokens.forEach(visit);
+        return;
+      default:
+        if (token.raw) scan(token.raw);
+    }
+  };
+
+  tokens.forEach(visit);
+  return found;
+}
+
+// Like extractTags, a tag needs whitespace or the start of the line before
+// its `#`, possibly inside **bold** or ~~strikethrough~~. The tokenizer only
+// sees the previous token of the same level, so the block's inline tokens are
+// checked again once lexed: a tag first in **…** counts only where the **
+// itself does, and never inside link text (one link would nest in another).
+function atTagBoundary(tokens) {
+  return tokens.length === 0 || /\s$/.test(tokens[tokens.length - 1].raw);
+}
+
+function untag(token) {
+  return { type: 'text', raw: token.raw, text: token.raw };
+}
+
+function checkTagBoundaries(tokens, atStart) {
+  return tokens.map((token, i) => {
+    const boundary = i === 0 ? atStart : /\s$/.test(tokens[i - 1].raw);
+    if (token.type === 'tag') return boundary ? token : untag(token);
+    if (token.type === 'link' && token.tokens) {
+      token.tokens = token.tokens.map(child => (child.type === 'tag' ? untag(child) : child));
+    } else if (['strong', 'em', 'del'].includes(token.type)) {
+      token.tokens = checkTagBoundaries(token.tokens, boundary);
+    }
+    return token;
+  });
+}
+
+// walkTokens hook applying checkTagBoundaries to each block's inline tokens
+function walkTagBoundaries(token) {
+  if (token.type === 'table') {
+    [token.header, ...token.rows].flat().forEach(cell => {
+      cell.tokens = checkTagBoundaries(cell.tokens, true);
+    });
+  } else if (['paragraph', 'heading', 'text'].includes(token.type) && token.tokens) {
+    token.tokens = checkTagBoundaries(token.tokens, true);
+  }
+}
+
+// marked plugin rendering `#tag` as a link to the tag's page, with the
+// boundary check above as its walkTokens hook
+function createTagExtension({ root = '' } = {}) {
+  return {
+    extensions: [{
+      name: 'tag',
+      level: 'inline',
+      start(src) {
+        const match = /(^|\s)#[^\s#]/u.exec(src);
+        return match ? match.index + match[1].length : undefined;
+      },
+      tokenizer(src, tokens) {
+        const match = tagTokenPattern.exec(src);
+        if (!match || !isTag(match[1]) || !atTagBoundary(tokens)) return undefined;
+
+        return { type: 'tag', raw: match[0], tag: match[1] };
+      },
+      renderer(token) {
+        return `<a href="${tagUrl(token.tag, root)}" class="tag">#${escapeHtml(token.tag)}</a>`;
+      }
+    }],
+    walkTokens: walkTagBoundaries
+  };
+}
+
+function renderTagChips(tags, root = '') {
+  return tags.map(tag => `<a href="${tagUrl(tag, root)}" class="tag">#${escapeHtml(tag)}</a>`).join('');
+}
+
+// Group tag uses by tag: key -> { tag, notes: Map(note -> contexts[]) }
+function buildTagIndex(entries) {
+  const index = new Map();
+
+  for (const { file, tag, context } of entries) {
+    const key = tagKey(tag);
+    if (!index.has(key)) index.set(key, { tag, notes: new Map() });
+    const { notes } = index.get(key);
+    if (!notes.has(file)) notes.set(file, []);
+    if (context && !notes.get(file).includes(context)) notes.get(file).push(context);
+  }
+
+  return [...index.values()].sort((a, b) =>
+    b.notes.size - a.notes.size || a.tag.localeCompare(b.tag, 'zh-CN'));
+}
+
+function highlightTag(context, tag) {
+  const escaped = escapeHtml(context.length > 300 ? context.substring(0, 300) + '…' : context);
+  const needle = escapeHtml(`#${tag}`);
+  return escaped.split(needle).join(`<mark>${needle}</mark>`);
+}
+
+function generateTagIndexPage(tags) {
+  const items = tags.map(({ tag, notes }) => `
+        <a href="${encodeURIComponent(tagFileName(tag))}" class="tag-index-item">
+          <span class="tag">#${escapeHtml(tag)}</span>
+          <span class="tag-count">${notes.size} 篇</span>
+        </a>`).join('');
+
+  return generatePage({
+    title: '标签',
+    subtitle: `${tags.length} 个标签`,
+    root: '../',
+    body: tags.length
+      ? `<div class="tag-index">${items}
+      </div>`
+      : '<p class="empty-state">还没有任何标签</p>'
+  });
+}
+
+function generateTagPage({ tag, notes }) {
+  const sections = [...notes.entries()]
+    .sort(([a], [b]) => a.title.localeCompare(b.title, 'zh-CN'))
+    .map(([file, contexts]) => `
+      <section class="tag-note">
+        <h2 class="tag-note-title"><a href="../${encodeURIComponent(file.outputName)}.html">${escapeHtml(file.title)}</a></h2>
+        ${file.folder ? `<div class="doc-breadcrumb">${escapeHtml(file.folder.replace(/[/\\]/g, ' / '))}</div>` : ''}
+        ${contexts.length
+          ? contexts.map(context => `<blockquote class="tag-context">${highlightTag(context, tag)}</blockquote>`).join('\n')
+          : '<p class="tag-context-meta">标签写在 front matter 中</p>'}
+      </section>`).join('\n');
+
+  return generatePage({
+    title: `#${tag}`,
+    subtitle: `${notes.size} 篇笔记 · <a href="index.html">全部标签</a>`,
+    root: '../',
+    body: sections
+  });
+}
+
+module.exports = {
+  isTag,
+  tagUrl,
+  extractTags,
+  createTagExtension,
+  renderTagChips,
+  buildTagIndex,
+  tagFileName,
+  generateTagIndexPage,
+  generateTagPage
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// Recursively list every file in the vault as a POSIX-style relative path
+function listVaultFiles(dir, ignoreDirs, relativePath = '') {
+  const results = [];
+
+  for (const item of fs.readdirSync(dir)) {
+    if (item.startsWith('.')) continue;
+
+    const fullPath = path.join(dir, item);
+    const itemRelativePath = relativePath ? `${relativePath}/${item}` : item;
+    const stats = fs.statSync(fullPath);
+
+    if (stats.isDirectory()) {
+      if (!ignoreDirs.includes(item)) {
+        results.push(...listVaultFiles(fullPath, ignoreDirs, itemRelativePath));
+      }
+    } else {
+      results.push(itemRelativePath);
+    }
+  }
+
+  return results;
+}
+
+// Index vault files so Obsidian-style references can be resolved the way
+// Obsidian does it: by bare file name anywhere in the vault, or by a path
+// suffix when the reference contains a folder.
+function createVaultIndex(rootDir, ignoreDirs) {
+  const files = listVaultFiles(rootDir, ignoreDirs);
+  const byName = new Map();
+
+  for (const file of files) {
+    const key = path.posix.basename(file).toLowerCase();
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(file);
+  }
+
+  // Prefer the shortest path when several folders hold the same file name
+  for (const candidates of byName.values()) {
+    candidates.sort((a, b) => a.length - b.length || a.localeCompare(b));
+  }
+
+  function resolve(target) {
+    const normalized = target.trim().replace(/\\/g, '/').replace(/^\.?\//, '');
+    if (!normalized) return null;
+
+    const candidates = byName.get(path.posix.basename(normalized).toLowerCase()) || [];
+    if (!normalized.includes('/')) {
+      return candidates[0] || null;
+    }
+
+    const suffix = normalized.toLowerCase();
+    return candidates.find(file => {
+      const lower = file.toLowerCase();
+      return lower === suffix || lower.endsWith('/' + suffix);
+    }) || null;
+  }
+
+  return { rootDir, files, resolve };
+}
+
+module.exports = { createVaultIndex };
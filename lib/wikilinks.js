@@ -0,0 +1,126 @@
+const { escapeHtml } = require('./html');
+
+const wikilinkPattern = /^\[\[([^[\]\n]+?)\]\]/;
+
+// Turn heading text into the anchor id used both for rendered headings and
+// for `[[note#heading]]` links, keeping CJK characters intact.
+function slugify(text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/<[^>]+>/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-');
+}
+
+// Split the inside of [[...]] into note, heading and alias parts.
+// `[[note#a#b|text]]` links to heading `b`, as Obsidian does.
+function parseWikilink(inner) {
+  const [link, ...rest] = inner.split('|');
+  const [target, ...headings] = link.split('#');
+
+  return {
+    target: target.trim(),
+    heading: headings.length ? headings[headings.length - 1].trim() : '',
+    alias: rest.join('|').trim()
+  };
+}
+
+// Index notes by file name and by folder path so links resolve like Obsidian.
+// Front matter aliases are matched only when no file carries that name.
+function createNoteIndex(files) {
+  const byName = new Map();
+  const byAlias = new Map();
+
+  for (const file of files) {
+    const key = file.name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(file);
+
+    for (const alias of file.aliases || []) {
+      const aliasKey = alias.toLowerCase();
+      if (!byAlias.has(aliasKey)) byAlias.set(aliasKey, file);
+    }
+  }
+
+  for (const candidates of byName.values()) {
+    candidates.sort((a, b) => a.folder.length - b.folder.length);
+  }
+
+  function resolve(target) {
+    const normalized = target.trim().replace(/\\/g, '/').replace(/\.md$/i, '');
+    const parts = normalized.split('/');
+    const key = parts.pop().toLowerCase();
+    const candidates = byName.get(key) || [];
+    if (parts.length === 0) return candidates[0] || byAlias.get(key) || null;
+
+    const folder = parts.join('/').toLowerCase();
+    return candidates.find(file => {
+      const fileFolder = file.folder.replace(/\\/g, '/').toLowerCase();
+      return fileFolder === folder || fileFolder.endsWith('/' + folder);
+    }) || null;
+  }
+
+  return { resolve };
+}
+
+// marked renderer override giving every heading a stable, de-duplicated id
+function createHeadingRenderer() {
+  const seen = new Map();
+
+  return {
+    heading(text, level, raw) {
+      const base = slugify(raw) || 'section';
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      const id = count === 0 ? base : `${base}-${count}`;
+      return `<h${level} id="${escapeHtml(id)}">${text}</h${level}>\n`;
+    }
+  };
+}
+
+// marked inline extension for `[[note]]`, `[[note|alias]]` and
+// `[[note#heading]]`. Resolved links are reported through `onLink` so the
+// build can assemble backlinks; unresolved ones through `onMissing`.
+function createWikilinkExtension(notes, { onLink = () => {}, onMissing = () => {} } = {}) {
+  return {
+    name: 'wikilink',
+    level: 'inline',
+    start(src) {
+      const index = src.indexOf('[[');
+      return index === -1 ? undefined : index;
+    },
+    tokenizer(src) {
+      const match = wikilinkPattern.exec(src);
+      if (!match) return undefined;
+
+      return { type: 'wikilink', raw: match[0], ...parseWikilink(match[1]) };
+    },
+    renderer(token) {
+      const anchor = token.heading ? `#${encodeURIComponent(slugify(token.heading))}` : '';
+      const label = token.alias
+        || (token.target && token.heading ? `${token.target} > ${token.heading}` : token.target || token.heading);
+
+      if (!token.target) {
+        return `<a href="${anchor}" class="internal-link">${escapeHtml(label)}</a>`;
+      }
+
+      const note = notes.resolve(token.target);
+      if (!note) {
+        onMissing(token.target);
+        return `<span class="internal-link is-unresolved" title="笔记不存在">${escapeHtml(label)}</span>`;
+      }
+
+      onLink(note);
+      return `<a href="${encodeURIComponent(note.outputName)}.html${anchor}" class="internal-link">${escapeHtml(label)}</a>`;
+    }
+  };
+}
+
+module.exports = {
+  slugify,
+  parseWikilink,
+  createNoteIndex,
+  createHeadingRenderer,
+  createWikilinkExtension
+};
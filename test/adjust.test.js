@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createOhlcStore } = require('../lib/ohlc');
+const { exFactors, adjustBars, createAdjustedStore } = require('../lib/adjust');
+
+const fixtures = path.join(__dirname, 'fixtures');
+const sample = { name: '样例', code: 'SAMPLE' };
+const relPath = 'data/ohlc/SAMPLE.csv';
+const raw = createOhlcStore(fixtures).load(relPath);
+// ¥0.5 and 0.25 shares per share, ex-date after the 10.00 close of 2026-01-09
+const event = { date: '2026-01-12', cash: 0.5, bonus: 0.25 };
+
+test('exFactors divides the 除权参考价 by the previous close', () => {
+  const factors = exFactors(raw, [event]);
+  assert.strictEqual(factors.length, 1);
+  assert.strictEqual(factors[0].index, 5);
+  // (10.00 - 0.5) / (1 + 0.25) = 7.6
+  assert.ok(Math.abs(factors[0].factor - 0.76) < 1e-12);
+});
+
+test('exFactors ignores events outside the bars', () => {
+  assert.deepStrictEqual(exFactors(raw, [{ date: '2025-06-01', cash: 0.5, bonus: 0 }, { date: '2026-02-02', cash: 0.5, bonus: 0 }]), []);
+});
+
+test('前复权 scales the bars before the ex-date', () => {
+  const bars = adjustBars(raw, [event], '前复权');
+  assert.deepStrictEqual(bars.map(bar => bar.close), [7.296, 7.448, 7.752, 7.904, 7.6, 7.7, 7.8, 7.9]);
+  assert.deepStrictEqual(bars[0], { date: '2026-01-05', open: 7.22, high: 7.372, low: 7.144, close: 7.296, volume: 1000 });
+  assert.strictEqual(bars[7], raw[7]);
+});
+
+test('后复权 scales the bars from the ex-date on', () => {
+  const bars = adjustBars(raw, [event], '后复权');
+  // 7.7 / 0.76, 7.8 / 0.76 and 7.9 / 0.76 to three decimals
+  assert.deepStrictEqual(bars.map(bar => bar.close), [9.6, 9.8, 10.2, 10.4, 10, 10.132, 10.263, 10.395]);
+});
+
+test('auto is 前复权 with 送转 and 除权 for cash only', () => {
+  assert.strictEqual(adjustBars(raw, [event], 'auto')[0].close, 7.296);
+  assert.strictEqual(adjustBars(raw, [{ ...event, bonus: 0 }], 'auto'), raw);
+});
+
+test('the adjusted store merges note tables with data/dividends/', () => {
+  const noteEvents = new Map([[sample, [
+    { date: '2025-07-01', cash: 0.3, bonus: 0, year: '2024年报' },
+    { date: '2026-01-12', cash: 0.45, bonus: 0, year: '2025中报' }
+  ]]]);
+  const store = createAdjustedStore(createOhlcStore(fixtures), { stocks: [sample] }, noteEvents);
+
+  // The CSV's amounts win on the same ex-date; the note's other fields stay
+  assert.deepStrictEqual(store.dividendsFor(sample), [
+    { date: '2025-07-01', cash: 0.3, bonus: 0, year: '2024年报' },
+    { date: '2026-01-12', cash: 0.5, bonus: 0.25, year: '2025中报' }
+  ]);
+  assert.strictEqual(store.modeFor(relPath), '前复权');
+  assert.strictEqual(store.load(relPath)[4].close, 7.6);
+  assert.strictEqual(store.load(relPath, '除权')[4].close, 10);
+  assert.strictEqual(store.raw(relPath)[4].close, 10);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createOhlcStore } = require('../lib/ohlc');
+const { createAdjustedStore } = require('../lib/adjust');
+const { createStockIndex } = require('../lib/stocks');
+const { parseInstruction, buildAlerts } = require('../lib/alerts');
+
+const stocks = createStockIndex([
+  { name: '样例', code: 'SAMPLE', aliases: [] },
+  { name: '对照', code: 'OTHER', aliases: [] }
+]);
+const store = createAdjustedStore(createOhlcStore(path.join(__dirname, 'fixtures')), stocks, new Map());
+
+const cell = text => (text ? { type: 'text', text, value: text } : { type: 'empty', text: '', value: null });
+
+// One dated note holding a watchlist table with the given 当前操作 cells
+function note(day, actions) {
+  const file = { outputName: `2026-03-${day}`, title: `2026-03-${day}`, noteDate: { year: 2026, month: 3, day } };
+  const rows = Object.entries(actions).map(([name, action]) => [cell(name), cell(action)]);
+  return { file, tables: [{ columns: [{ name: '股票名称' }, { name: '当前操作' }], rows }] };
+}
+
+test('dates next to the instruction are not taken for the price', () => {
+  assert.strictEqual(parseInstruction('3月5日设置提醒21.98').price, 21.98);
+  assert.strictEqual(parseInstruction('10日设置提醒12.5').price, 12.5);
+  assert.strictEqual(parseInstruction('0305设置提醒21.98').price, 21.98);
+  assert.strictEqual(parseInstruction('2026-03-05设置提醒21.98').price, 21.98);
+});
+
+test('levels, share counts and the price closest to the keyword', () => {
+  const order = parseInstruction('设置6.96条件单800股');
+  assert.strictEqual(order.kind, '条件单');
+  assert.strictEqual(order.price, 6.96);
+  assert.strictEqual(order.shares, 800);
+
+  const level = parseInstruction('设置提醒54.23月30');
+  assert.strictEqual(level.price, 54.23);
+  assert.strictEqual(level.level, '月30');
+
+  const sell = parseInstruction('20.1买入，设置提醒22.5卖');
+  assert.strictEqual(sell.price, 22.5);
+  assert.strictEqual(sell.side, '卖');
+
+  assert.strictEqual(parseInstruction('已设置提醒\n月中73再看').price, 73);
+  assert.strictEqual(parseInstruction('月30设置提醒').price, null);
+  assert.strictEqual(parseInstruction('无'), null);
+});
+
+test('the newest row cancels or supersedes older instructions', () => {
+  const alerts = buildAlerts([
+    note(2, { 样例: '设置提醒7.5', 对照: '条件单12买' }),
+    note(3, { 样例: '', 对照: '' }),
+    note(4, { 样例: '设置提醒7.2', 对照: '已取消' })
+  ], stocks, store);
+
+  const sample = alerts.find(alert => alert.stock.name === '样例');
+  assert.strictEqual(sample.active.price, 7.2);
+  assert.strictEqual(sample.active.date, '2026-03-04');
+  assert.deepStrictEqual(sample.superseded.map(row => row.price), [7.5]);
+  assert.strictEqual(sample.stale, null);
+  assert.strictEqual(sample.close.close, 7.9);
+
+  // An empty cell on the 3rd changes nothing; 已取消 on the 4th cancels
+  const other = alerts.find(alert => alert.stock.name === '对照');
+  assert.strictEqual(other.active, null);
+  assert.strictEqual(other.stale.instruction.price, 12);
+  assert.strictEqual(other.stale.cancel.text, '已取消');
+  assert.strictEqual(other.close, null);
+});
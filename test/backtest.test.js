@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createOhlcStore } = require('../lib/ohlc');
+const { adjustBars } = require('../lib/adjust');
+const { parseCondition, runBacktest } = require('../lib/backtest');
+
+const store = createOhlcStore(path.join(__dirname, 'fixtures'));
+const prices = store.load('data/ohlc/SAMPLE.csv');
+const dividends = store.dividendsFor({ name: '样例', code: 'SAMPLE' });
+const bars = adjustBars(prices, dividends, '前复权');
+
+function rule(entry, exit, costs = {}) {
+  return { capital: 10000, fee: 5, commission: 0, stampDuty: 0, ...costs, entry: [entry], exit: [exit] };
+}
+const onDay = day => ({ source: `day ${day}`, test: (views, i) => i === day });
+
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('buys whole lots at the close and pays the fees', () => {
+  const result = runBacktest(bars, dividends, rule(onDay(0), onDay(3), { commission: 0.1, stampDuty: 0.05 }), { prices });
+  const [trade] = result.trades;
+
+  // floor((10000 - 5) / (9.60 × 100 × 1.001)) = 10 lots
+  assert.strictEqual(trade.shares, 1000);
+  assert.strictEqual(trade.entryPrice, 9.6);
+  assert.strictEqual(trade.exitPrice, 10.4);
+  // 9600 + 5 + 9.6 bought, 10400 - 5 - 10.4 - 5.2 sold
+  assertNear(trade.cost, 9614.6);
+  assertNear(trade.profit, 764.8);
+  assertNear(result.return, 0.07648);
+  assert.strictEqual(result.closed, 1);
+  assert.strictEqual(result.wins, 1);
+});
+
+test('holding through the ex-date collects the dividend and 送转 shares', () => {
+  const result = runBacktest(bars, dividends, rule(onDay(0), onDay(-1)), { alwaysHold: true, prices });
+  const [trade] = result.trades;
+
+  // 1000 × ¥0.5, then 1000 × 0.25 more shares
+  assertNear(trade.dividends, 500);
+  assert.strictEqual(trade.soldShares, 1250);
+  assert.strictEqual(trade.exitDate, null);
+  // Cash 395 + 500, 1250 shares at 7.90; valued less the ¥5 sell fee
+  assertNear(result.return, 10770 / 10000 - 1);
+  assertNear(trade.profit, 9870 + 500 - 9605);
+  // Peak 10795 on 2026-01-08, low 10395 the next day
+  assertNear(result.drawdown, 400 / 10795);
+});
+
+test('股息率 uses the traded price and the trailing dividends', () => {
+  // No dividend in the year before 2026-01-09; ¥0.5 / 7.70 = 6.5% on 2026-01-12
+  const result = runBacktest(bars, dividends, rule(parseCondition('股息率>=5%'), onDay(-1)), { prices });
+  const [trade] = result.trades;
+
+  assert.strictEqual(trade.entryDate, '2026-01-12');
+  assert.strictEqual(trade.shares, 1200);
+  // Bought on the ex-date itself, so no dividend
+  assertNear(trade.dividends, 0);
+  assertNear(result.return, (755 + 1200 * 7.9) / 10000 - 1);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createOhlcStore } = require('../lib/ohlc');
+const { createAdjustedStore } = require('../lib/adjust');
+const { createStockIndex } = require('../lib/stocks');
+const { extractHoldings, buildDividendCalendar, dividendIcs } = require('../lib/dividend-calendar');
+
+const stocks = createStockIndex([{ name: '样例', code: 'SAMPLE', aliases: [] }]);
+const store = createAdjustedStore(createOhlcStore(path.join(__dirname, 'fixtures')), stocks, new Map());
+
+// A note holding a 持仓 table with one row for 样例
+function holdingNote(day, shares) {
+  const file = { outputName: `2026-02-${day}`, title: `2026-02-${day}`, date: new Date(Date.UTC(2026, 1, day)) };
+  const rows = [[{ type: 'text', text: '样例', value: '样例' }, { type: 'number', text: String(shares), value: shares }]];
+  return { file, tables: [{ columns: [{ name: '股票名称' }, { name: '持股数' }], rows }] };
+}
+
+test('the newest 持仓 table gives the shares held', () => {
+  const holdings = extractHoldings([holdingNote(3, 500), holdingNote(10, 1000)], stocks);
+  assert.strictEqual(holdings.get(stocks.stocks[0]).shares, 1000);
+  assert.strictEqual(holdings.get(stocks.stocks[0]).file.outputName, '2026-02-10');
+});
+
+test('expected cash uses the notes unless data/stocks.yml sets shares', () => {
+  const holdings = extractHoldings([holdingNote(10, 1000)], stocks);
+  const [row] = buildDividendCalendar(stocks.stocks, store, { holdings });
+  assert.strictEqual(row.shares, 1000);
+  assert.strictEqual(row.holding.outputName, '2026-02-10');
+  // 1000 shares × ¥0.5 on the 2026-01-12 ex-date, in the unfolded .ics
+  assert.ok(dividendIcs([row]).replace(/\r\n /g, '').includes('持有 1000 股，预计到账 500.00 元'));
+
+  const [listed] = buildDividendCalendar([{ ...stocks.stocks[0], shares: 200 }], store, { holdings });
+  assert.strictEqual(listed.shares, 200);
+  assert.strictEqual(listed.holding, null);
+});
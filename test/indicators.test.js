@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sma, ema, boll, macd } = require('../lib/indicators');
+
+function assertClose(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  expected.forEach((value, i) => {
+    if (value === null) return assert.strictEqual(actual[i], null, `index ${i}`);
+    assert.ok(Math.abs(actual[i] - value) < 1e-9, `index ${i}: ${actual[i]} != ${value}`);
+  });
+}
+
+test('sma is null until the window fills', () => {
+  assertClose(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test('sma over the sample closes', () => {
+  const closes = [9.6, 9.8, 10.2, 10.4, 10.0, 7.7, 7.8, 7.9];
+  // (10.4 + 10.0 + 7.7 + 7.8 + 7.9) / 5
+  assert.ok(Math.abs(sma(closes, 5)[7] - 8.76) < 1e-9);
+});
+
+test('ema is seeded with the first value', () => {
+  // (2 × 2 + 2 × 1) / 4, then (2 × 3 + 2 × 1.5) / 4
+  assertClose(ema([1, 2, 3], 3), [1, 1.5, 2.25]);
+});
+
+test('boll uses the population standard deviation', () => {
+  const bands = boll([1, 2, 3, 4, 5], 5, 2);
+  // mean 3, deviation √((4 + 1 + 0 + 1 + 4) / 5) = √2
+  assertClose(bands.mid, [null, null, null, null, 3]);
+  assertClose(bands.upper, [null, null, null, null, 3 + 2 * Math.SQRT2]);
+  assertClose(bands.lower, [null, null, null, null, 3 - 2 * Math.SQRT2]);
+});
+
+test('macd histogram is twice DIF - DEA', () => {
+  const result = macd([1, 2, 3], 2, 3, 2);
+  // EMA2 = 1, 5/3, 23/9 and EMA3 = 1, 3/2, 9/4
+  assertClose(result.dif, [0, 1 / 6, 11 / 36]);
+  assertClose(result.dea, [0, 1 / 9, 13 / 54]);
+  assertClose(result.histogram, [0, 1 / 9, 7 / 54]);
+});
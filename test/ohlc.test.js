@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { OhlcError, parseOhlcCsv, resample, createOhlcStore } = require('../lib/ohlc');
+
+const fixtures = path.join(__dirname, 'fixtures');
+const sample = { name: '样例', code: 'SAMPLE' };
+
+test('reads the sample price and dividend files', () => {
+  const store = createOhlcStore(fixtures);
+  const relPath = store.pathFor(sample);
+  assert.strictEqual(relPath, 'data/ohlc/SAMPLE.csv');
+
+  const bars = store.load(relPath);
+  assert.strictEqual(bars.length, 8);
+  assert.deepStrictEqual(bars[0], { date: '2026-01-05', open: 9.5, high: 9.7, low: 9.4, close: 9.6, volume: 1000 });
+
+  // 分红(每10股) ¥5.000 and 送股/转增 2/0.5 per 10 shares
+  assert.deepStrictEqual(store.dividendsFor(sample), [{ date: '2026-01-12', cash: 0.5, bonus: 0.25 }]);
+});
+
+test('weekly bars take the first open, extremes, last close and summed volume', () => {
+  const bars = createOhlcStore(fixtures).load('data/ohlc/SAMPLE.csv');
+  assert.deepStrictEqual(resample(bars, 'week'), [
+    { date: '2026-01-09', open: 9.5, high: 10.5, low: 9.4, close: 10, volume: 6100 },
+    { date: '2026-01-14', open: 7.6, high: 8, low: 7.5, close: 7.9, volume: 5000 }
+  ]);
+});
+
+test('rejects dates that do not exist', () => {
+  ['2026-02-31', '2026-13-01', '2026-00-10'].forEach(date => {
+    assert.throws(() => parseOhlcCsv(`date,open,high,low,close\n${date},1,2,0.5,1.5`, 'test.csv'), OhlcError);
+  });
+  assert.strictEqual(parseOhlcCsv('date,open,high,low,close\n2024/2/29,1,2,0.5,1.5', 'test.csv')[0].date, '2024-02-29');
+});
+
+test('a date listed twice keeps its last row', () => {
+  const bars = parseOhlcCsv('date,open,high,low,close\n2026-01-05,1,2,0.5,1.5\n2026-01-06,1,2,0.5,1.6\n2026-01-05,1,2,0.5,1.7', 'test.csv');
+  assert.deepStrictEqual(bars.map(bar => [bar.date, bar.close]), [['2026-01-05', 1.7], ['2026-01-06', 1.6]]);
+});
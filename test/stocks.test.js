@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Marked } = require('marked');
+const { createStockIndex, createStockLinkExtension } = require('../lib/stocks');
+
+const index = createStockIndex([
+  { name: '美的集团', code: '000333', aliases: [], standaloneAliases: ['美的'] },
+  { name: '中国平安', code: '601318', aliases: ['平安'] }
+]);
+
+function render(text) {
+  const marked = new Marked({ gfm: true });
+  marked.use(createStockLinkExtension(index));
+  return marked.parse(text);
+}
+
+const linked = html => (html.match(/class="stock-link"[^>]*>([^<]+)</g) || []).map(link => link.split('>').pop().slice(0, -1));
+
+test('standalone aliases link only apart from other Chinese characters', () => {
+  assert.deepStrictEqual(linked(render('周中买（**美的**，平安）')), ['美的', '平安']);
+  assert.deepStrictEqual(linked(render('完美的 美的话')), []);
+  assert.deepStrictEqual(linked(render('**完**美的')), []);
+  assert.deepStrictEqual(linked(render('完**美的**')), []);
+  assert.deepStrictEqual(linked(render('美的集团涨了')), ['美的集团']);
+});
+
+test('find() agrees with the links, and link text is left alone', () => {
+  assert.deepStrictEqual(index.find('**完**美的').map(stock => stock.name), []);
+  assert.deepStrictEqual(index.find('（**美的**）').map(stock => stock.name), ['美的集团']);
+  assert.deepStrictEqual(linked(render('[美的集团](https://example.com)')), []);
+});